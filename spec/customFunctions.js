@@ -13,6 +13,8 @@ const customFunctions = {
   
   // String functions
   uppercase: (str) => String(str).toUpperCase(),
+  trim: (str) => String(str).trim(),
+  currency: (amount, code = 'USD') => `${code} ${Number(amount).toFixed(2)}`,
   capitalize: (str) => {
     const s = String(str);
     return s.charAt(0).toUpperCase() + s.slice(1).toLowerCase();
@@ -111,6 +113,11 @@ const customFunctions = {
     return typeof val;
   },
   
+  // Throws when called, to check that an expression skips it
+  mustNotBeCalled: () => {
+    throw new Error('mustNotBeCalled was called');
+  },
+
   // Sorting function
   sortBy: (arr, prop) => {
     if (!Array.isArray(arr)) return [];
@@ -133,8 +140,8 @@ export { typeofFunc as typeof };
 
 export default (template, data, options = {}) => {
   // Merge custom functions with any functions passed from tests
-  const { functions = {}, partials = {} } = options;
+  const { functions = {}, partials = {}, ...rest } = options;
   const allFunctions = { ...customFunctions, ...functions };
   
-  return parseAndRender(template, data, { functions: allFunctions, partials });
+  return parseAndRender(template, data, { ...rest, functions: allFunctions, partials });
 }
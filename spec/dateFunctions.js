@@ -0,0 +1,11 @@
+import parseAndRender from '../src/parseAndRender.js';
+import * as dates from '../src/dates.js';
+
+// Renders with the date functions merged into the custom functions
+export default (template, data, options = {}) => {
+  const { functions = {}, ...rest } = options;
+  return parseAndRender(template, data, { ...rest, functions: { ...dates, ...functions } });
+};
+
+// Renders without the date functions, to check they are not injected
+export const withoutDates = (template, data) => parseAndRender(template, data);
@@ -0,0 +1,20 @@
+import parse from '../src/parse/index.js';
+import parseAndRender from '../src/parseAndRender.js';
+import parseAndRenderWithCustomFunctions from './customFunctions.js';
+
+// Prefixes Jempl error messages with their code, so `throws` assertions
+// check the stable code as well as the message
+const withErrorCode = (fn) => (...args) => {
+  try {
+    return fn(...args);
+  } catch (error) {
+    if (error.code) {
+      error.message = `${error.code}: ${error.message}`;
+    }
+    throw error;
+  }
+};
+
+export const parseWithCode = withErrorCode(parse);
+export const customFunctionsWithCode = withErrorCode(parseAndRenderWithCustomFunctions);
+export default withErrorCode(parseAndRender);
@@ -0,0 +1,60 @@
+import parseAndRender from '../src/parseAndRender.js';
+import parse from '../src/parse/index.js';
+import render from '../src/render.js';
+
+const captureError = (template, data, options) => {
+  try {
+    parseAndRender(template, data, options);
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+// Runs parseAndRender and returns the location properties of the thrown error
+export default (template, data, options) => {
+  const error = captureError(template, data, options);
+  return error && {
+    name: error.name,
+    templatePath: error.templatePath,
+    excerpt: error.excerpt,
+  };
+}
+
+// Runs parseAndRender and returns the code and details of the thrown error
+export const codeAndDetails = (template, data, options) => {
+  const error = captureError(template, data, options);
+  return error && {
+    code: error.code,
+    details: error.details,
+  };
+};
+
+// Parses with collectErrors and returns the code and location of every error
+export const collectedErrors = (template, options) => {
+  const { errors } = parse(template, { ...options, collectErrors: true });
+  return errors.map((error) => ({
+    name: error.name,
+    code: error.code,
+    templatePath: error.templatePath,
+  }));
+};
+
+// Parses with collectErrors and returns the AST with its ERROR placeholders
+export const collectedAst = (template, options) =>
+  parse(template, { ...options, collectErrors: true }).ast;
+
+// Parses with collectErrors and renders the resulting AST
+export const renderCollected = (template, data) =>
+  render(parse(template, { collectErrors: true }).ast, data);
+
+// Runs parseAndRender with onMissing and returns the output with the reported errors
+export const reportMissing = (template, data, options) => {
+  const missing = [];
+  const result = parseAndRender(template, data, {
+    ...options,
+    onMissing: (error) =>
+      missing.push({ templatePath: error.templatePath, ...error.details }),
+  });
+  return { result, missing };
+};
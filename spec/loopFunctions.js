@@ -1,3 +1,5 @@
+import parse from '../src/parse/index.js';
+import render from '../src/render.js';
 import parseAndRender from '../src/parseAndRender.js';
 
 // Custom functions for loop tests
@@ -31,4 +33,9 @@ const loopFunctions = {
 
 export default (template, data) => {
   return parseAndRender(template, data, { functions: loopFunctions });
-}
\ No newline at end of file
+}
+
+// Parses without the custom functions and only passes them to render
+export const renderOnly = (template, data) => {
+  return render(parse(template), data, { functions: loopFunctions });
+};
@@ -0,0 +1,11 @@
+import parseAndRender from '../src/parseAndRender.js';
+import * as stdlib from '../src/stdlib.js';
+
+// Renders with the standard library merged into the custom functions
+export default (template, data, options = {}) => {
+  const { functions = {}, ...rest } = options;
+  return parseAndRender(template, data, { ...rest, functions: { ...stdlib, ...functions } });
+};
+
+// Renders without the standard library, to check it is not injected
+export const withoutStdlib = (template, data) => parseAndRender(template, data);
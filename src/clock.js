@@ -0,0 +1,47 @@
+import { JemplRenderError, ErrorCode } from "./errors.js";
+
+// Clock of the render in progress. Rendering is synchronous, so built-in
+// functions can read it without threading options through every call
+let activeClock;
+
+/**
+ * Returns the current time in milliseconds from the active `clock` option,
+ * falling back to the system clock
+ * @returns {number}
+ */
+export const currentTime = () => {
+  if (activeClock === undefined) {
+    return Date.now();
+  }
+
+  const time = typeof activeClock === "function" ? activeClock() : activeClock;
+  const timestamp = time instanceof Date ? time.getTime() : time;
+  if (typeof timestamp !== "number" || !Number.isFinite(timestamp)) {
+    throw new JemplRenderError(
+      `Invalid clock option - expected a timestamp, a Date, or a function returning one (got: ${String(time)})`,
+      ErrorCode.CLOCK_INVALID,
+      { got: typeof time },
+    );
+  }
+  return timestamp;
+};
+
+/**
+ * Runs fn with the given clock active, restoring the previous clock afterwards
+ * @param {Function|number|Date|undefined} clock - The `clock` option
+ * @param {Function} fn - Work to run
+ * @returns {any} Result of fn
+ */
+export const withClock = (clock, fn) => {
+  if (clock === undefined) {
+    return fn();
+  }
+
+  const previousClock = activeClock;
+  activeClock = clock;
+  try {
+    return fn();
+  } finally {
+    activeClock = previousClock;
+  }
+};
@@ -0,0 +1,268 @@
+/**
+ * Opt-in date helpers.
+ *
+ * Nothing here is registered automatically. Merge the helpers into
+ * `options.functions`; they read the current time from the `clock` option:
+ *
+ * @example
+ * import * as dates from "jempl/dates";
+ * parseAndRender(template, data, { functions: { ...dates }, clock: Date.now() });
+ *
+ * Unlike jempl/stdlib, invalid dates, units, locales and time zones throw
+ * `JEMPL_E_FUNCTION_INVALID_ARGUMENT` instead of rendering a wrong date.
+ */
+
+import { currentTime } from "./clock.js";
+import { JemplRenderError, ErrorCode } from "./errors.js";
+
+const UNIT_MILLISECONDS = {
+  millisecond: 1,
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+
+const CALENDAR_UNIT_MONTHS = {
+  month: 1,
+  year: 12,
+};
+
+/**
+ * Converts a timestamp, date string or Date to a Date. Missing values are
+ * errors, so a misspelled variable doesn't silently become the current time -
+ * pass `now()` for that.
+ */
+const toDate = (value, functionName) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (value === null || value === undefined || Number.isNaN(date.getTime())) {
+    throw new JemplRenderError(
+      `Invalid date passed to ${functionName}() (got: ${JSON.stringify(value)})`,
+      ErrorCode.FUNCTION_INVALID_ARGUMENT,
+      { function: functionName, value },
+    );
+  }
+  return date;
+};
+
+/**
+ * Accepts singular and plural unit names like "day" and "days"
+ */
+const normalizeUnit = (unit, functionName) => {
+  const name = String(unit).replace(/s$/, "");
+  if (name in UNIT_MILLISECONDS || name in CALENDAR_UNIT_MONTHS) {
+    return name;
+  }
+  throw new JemplRenderError(
+    `Unknown time unit '${unit}' passed to ${functionName}() - use milliseconds, seconds, minutes, hours, days, weeks, months or years`,
+    ErrorCode.FUNCTION_INVALID_ARGUMENT,
+    { function: functionName, unit },
+  );
+};
+
+/**
+ * Runs an Intl call, reporting bad locales and time zones as template errors
+ */
+const withIntlArguments = (functionName, details, fn) => {
+  try {
+    return fn();
+  } catch (error) {
+    if (error instanceof RangeError) {
+      throw new JemplRenderError(
+        `Invalid locale or time zone passed to ${functionName}() - ${error.message}`,
+        ErrorCode.FUNCTION_INVALID_ARGUMENT,
+        { function: functionName, ...details },
+      );
+    }
+    throw error;
+  }
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date.getTime());
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  // Clamp to the end of shorter months, e.g. Jan 31 + 1 month = Feb 28/29
+  const lastDay = new Date(
+    Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0),
+  ).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+};
+
+const partFormatters = new Map();
+
+const getPartFormatter = (timeZone) => {
+  let formatter = partFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hourCycle: "h23",
+    });
+    partFormatters.set(timeZone, formatter);
+  }
+  return formatter;
+};
+
+const DATE_PATTERN_TOKENS = /\[([^\]]*)\]|YYYY|YY|MM|M|DD|D|HH|H|mm|ss|SSS/g;
+
+/**
+ * Formats a date as an ISO 8601 string in UTC
+ * @param {number|string|Date} date - Date to format
+ * @returns {string} Like "2024-03-05T14:07:09.000Z"
+ */
+export const formatIso = (date) => toDate(date, "formatIso").toISOString();
+
+/**
+ * Formats a date with a pattern. Tokens: YYYY, YY, MM, M, DD, D, HH, H, mm,
+ * ss, SSS; text in [brackets] is kept as is.
+ * @param {number|string|Date} date - Date to format
+ * @param {string} [pattern="YYYY-MM-DD"] - Format pattern
+ * @param {string} [timeZone="UTC"] - IANA time zone like "Europe/Berlin"
+ * @returns {string}
+ */
+export const formatDate = (date, pattern = "YYYY-MM-DD", timeZone = "UTC") => {
+  const value = toDate(date, "formatDate");
+  const parts = {};
+  const formatter = withIntlArguments("formatDate", { timeZone }, () =>
+    getPartFormatter(timeZone),
+  );
+  for (const { type, value: part } of formatter.formatToParts(value)) {
+    parts[type] = part;
+  }
+
+  const tokens = {
+    YYYY: parts.year,
+    YY: parts.year.slice(-2),
+    MM: parts.month,
+    M: String(Number(parts.month)),
+    DD: parts.day,
+    D: String(Number(parts.day)),
+    HH: parts.hour,
+    H: String(Number(parts.hour)),
+    mm: parts.minute,
+    ss: parts.second,
+    SSS: String(value.getUTCMilliseconds()).padStart(3, "0"),
+  };
+
+  return String(pattern).replace(DATE_PATTERN_TOKENS, (token, literal) =>
+    literal !== undefined ? literal : tokens[token],
+  );
+};
+
+/**
+ * Formats a date for a locale with Intl.DateTimeFormat styles
+ * @param {number|string|Date} date - Date to format
+ * @param {string} [locale="en-US"] - BCP 47 locale like "de-DE"
+ * @param {string} [timeZone="UTC"] - IANA time zone like "America/New_York"
+ * @param {string} [dateStyle="medium"] - "full", "long", "medium", "short" or "none"
+ * @param {string} [timeStyle="none"] - "full", "long", "medium", "short" or "none"
+ * @returns {string}
+ */
+export const formatLocalDate = (
+  date,
+  locale = "en-US",
+  timeZone = "UTC",
+  dateStyle = "medium",
+  timeStyle = "none",
+) => {
+  const value = toDate(date, "formatLocalDate");
+  const options = { timeZone };
+  if (dateStyle !== "none") options.dateStyle = dateStyle;
+  if (timeStyle !== "none") options.timeStyle = timeStyle;
+
+  return withIntlArguments(
+    "formatLocalDate",
+    { locale, timeZone, dateStyle, timeStyle },
+    () => new Intl.DateTimeFormat(locale, options).format(value),
+  );
+};
+
+/**
+ * Describes a date relative to now, like "3 days ago" or "in 2 hours"
+ * @param {number|string|Date} date - Date to describe
+ * @param {string} [locale="en"] - BCP 47 locale
+ * @returns {string}
+ */
+export const relativeTime = (date, locale = "en") => {
+  const difference = toDate(date, "relativeTime").getTime() - currentTime();
+  const distance = Math.abs(difference);
+  const [unit, size] =
+    distance < UNIT_MILLISECONDS.minute
+      ? ["second", UNIT_MILLISECONDS.second]
+      : distance < UNIT_MILLISECONDS.hour
+        ? ["minute", UNIT_MILLISECONDS.minute]
+        : distance < UNIT_MILLISECONDS.day
+          ? ["hour", UNIT_MILLISECONDS.hour]
+          : distance < UNIT_MILLISECONDS.week
+            ? ["day", UNIT_MILLISECONDS.day]
+            : distance < 30 * UNIT_MILLISECONDS.day
+              ? ["week", UNIT_MILLISECONDS.week]
+              : distance < 365 * UNIT_MILLISECONDS.day
+                ? ["month", 30 * UNIT_MILLISECONDS.day]
+                : ["year", 365 * UNIT_MILLISECONDS.day];
+
+  return withIntlArguments("relativeTime", { locale }, () =>
+    new Intl.RelativeTimeFormat(locale, { numeric: "auto" }).format(
+      Math.round(difference / size),
+      unit,
+    ),
+  );
+};
+
+/**
+ * Adds an amount of time to a date. Months and years follow the calendar
+ * (in UTC) and clamp to the end of shorter months.
+ * @param {number|string|Date} date - Start date
+ * @param {number} amount - Amount to add, negative to subtract
+ * @param {string} [unit="days"] - milliseconds, seconds, minutes, hours, days, weeks, months or years
+ * @returns {number} Timestamp in milliseconds
+ */
+export const dateAdd = (date, amount, unit = "days") => {
+  const value = toDate(date, "dateAdd");
+  const name = normalizeUnit(unit, "dateAdd");
+  if (name in CALENDAR_UNIT_MONTHS) {
+    return addMonths(
+      value,
+      Number(amount) * CALENDAR_UNIT_MONTHS[name],
+    ).getTime();
+  }
+  return value.getTime() + Number(amount) * UNIT_MILLISECONDS[name];
+};
+
+/**
+ * Counts the whole units from `start` to `end`, negative when `end` is earlier
+ * @param {number|string|Date} end - Later date
+ * @param {number|string|Date} start - Earlier date
+ * @param {string} [unit="days"] - milliseconds, seconds, minutes, hours, days, weeks, months or years
+ * @returns {number} Whole units, truncated toward zero
+ */
+export const dateDiff = (end, start, unit = "days") => {
+  const endDate = toDate(end, "dateDiff");
+  const startDate = toDate(start, "dateDiff");
+  const name = normalizeUnit(unit, "dateDiff");
+
+  if (name in CALENDAR_UNIT_MONTHS) {
+    let months =
+      (endDate.getUTCFullYear() - startDate.getUTCFullYear()) * 12 +
+      endDate.getUTCMonth() -
+      startDate.getUTCMonth();
+    // Don't count a month that is not complete yet
+    const anchor = addMonths(startDate, months).getTime();
+    if (months > 0 && anchor > endDate.getTime()) months--;
+    if (months < 0 && anchor < endDate.getTime()) months++;
+    return Math.trunc(months / CALENDAR_UNIT_MONTHS[name]);
+  }
+
+  return Math.trunc(
+    (endDate.getTime() - startDate.getTime()) / UNIT_MILLISECONDS[name],
+  );
+};
@@ -2,20 +2,322 @@
  * Custom error classes for Jempl templating engine
  */
 
+/**
+ * Stable machine-readable error codes. Messages may change between releases,
+ * codes do not.
+ */
+export const ErrorCode = {
+  // Generic fallbacks
+  PARSE: "JEMPL_E_PARSE",
+  RENDER: "JEMPL_E_RENDER",
+
+  // Variables and expressions
+  VARIABLE_UNCLOSED: "JEMPL_E_VARIABLE_UNCLOSED",
+  VARIABLE_UNRESOLVED: "JEMPL_E_VARIABLE_UNRESOLVED",
+
+  // Conditionals
+  CONDITION_MISSING: "JEMPL_E_CONDITION_MISSING",
+  CONDITION_INVALID_OPERATOR: "JEMPL_E_CONDITION_INVALID_OPERATOR",
+  CONDITION_INCOMPLETE: "JEMPL_E_CONDITION_INCOMPLETE",
+  CONDITION_INVALID_SYNTAX: "JEMPL_E_CONDITION_INVALID_SYNTAX",
+  CONDITION_ORPHANED_BRANCH: "JEMPL_E_CONDITION_ORPHANED_BRANCH",
+  CONDITION_JSON_INVALID: "JEMPL_E_CONDITION_JSON_INVALID",
+  ARITHMETIC_TYPE: "JEMPL_E_ARITHMETIC_TYPE",
+  DIVISION_BY_ZERO: "JEMPL_E_DIVISION_BY_ZERO",
+  WHEN_DUPLICATE: "JEMPL_E_WHEN_DUPLICATE",
+  WHEN_INVALID_SYNTAX: "JEMPL_E_WHEN_INVALID_SYNTAX",
+  SWITCH_INVALID_CASE: "JEMPL_E_SWITCH_INVALID_CASE",
+  SWITCH_DUPLICATE_CASE: "JEMPL_E_SWITCH_DUPLICATE_CASE",
+
+  // Loops
+  LOOP_MISSING_IN: "JEMPL_E_LOOP_MISSING_IN",
+  LOOP_MISSING_ITERABLE: "JEMPL_E_LOOP_MISSING_ITERABLE",
+  LOOP_INVALID_SYNTAX: "JEMPL_E_LOOP_INVALID_SYNTAX",
+  LOOP_INVALID_VARIABLE: "JEMPL_E_LOOP_INVALID_VARIABLE",
+  LOOP_RESERVED_VARIABLE: "JEMPL_E_LOOP_RESERVED_VARIABLE",
+  LOOP_OUTSIDE_ARRAY: "JEMPL_E_LOOP_OUTSIDE_ARRAY",
+  LOOP_NOT_ITERABLE: "JEMPL_E_LOOP_NOT_ITERABLE",
+  LOOP_INVALID_CLAUSE: "JEMPL_E_LOOP_INVALID_CLAUSE",
+  LOOP_INVALID_RANGE: "JEMPL_E_LOOP_INVALID_RANGE",
+  EACH_INVALID_VALUE: "JEMPL_E_EACH_INVALID_VALUE",
+  EACH_EMPTY_BODY: "JEMPL_E_EACH_EMPTY_BODY",
+
+  // Local variables
+  LET_INVALID: "JEMPL_E_LET_INVALID",
+  LET_INVALID_VARIABLE: "JEMPL_E_LET_INVALID_VARIABLE",
+
+  // Spread
+  SPREAD_INVALID_SYNTAX: "JEMPL_E_SPREAD_INVALID_SYNTAX",
+  SPREAD_NOT_OBJECT: "JEMPL_E_SPREAD_NOT_OBJECT",
+
+  // Entries
+  ENTRIES_INVALID_SYNTAX: "JEMPL_E_ENTRIES_INVALID_SYNTAX",
+  ENTRIES_INVALID_VALUE: "JEMPL_E_ENTRIES_INVALID_VALUE",
+
+  // Functions
+  FUNCTION_UNKNOWN: "JEMPL_E_FUNCTION_UNKNOWN",
+  FUNCTION_UNCLOSED: "JEMPL_E_FUNCTION_UNCLOSED",
+  FILTER_INVALID: "JEMPL_E_FILTER_INVALID",
+  FUNCTION_INVALID_ARGUMENT: "JEMPL_E_FUNCTION_INVALID_ARGUMENT",
+  CLOCK_INVALID: "JEMPL_E_CLOCK_INVALID",
+
+  // Path references
+  PATH_REFERENCE_UNSUPPORTED: "JEMPL_E_PATH_REFERENCE_UNSUPPORTED",
+  PATH_REFERENCE_NOT_IN_SCOPE: "JEMPL_E_PATH_REFERENCE_NOT_IN_SCOPE",
+  PATH_REFERENCE_UNRESOLVED: "JEMPL_E_PATH_REFERENCE_UNRESOLVED",
+  PATH_REFERENCE_INDEX_PROPERTY: "JEMPL_E_PATH_REFERENCE_INDEX_PROPERTY",
+
+  // Partials
+  PARTIAL_INVALID_NAME: "JEMPL_E_PARTIAL_INVALID_NAME",
+  PARTIAL_CONFLICT: "JEMPL_E_PARTIAL_CONFLICT",
+  PARTIAL_UNDEFINED: "JEMPL_E_PARTIAL_UNDEFINED",
+  PARTIAL_CIRCULAR: "JEMPL_E_PARTIAL_CIRCULAR",
+  SLOT_INVALID: "JEMPL_E_SLOT_INVALID",
+  EXTENDS_INVALID: "JEMPL_E_EXTENDS_INVALID",
+  BLOCK_INVALID: "JEMPL_E_BLOCK_INVALID",
+  BLOCK_UNDEFINED: "JEMPL_E_BLOCK_UNDEFINED",
+  PARAMS_INVALID: "JEMPL_E_PARAMS_INVALID",
+  PARAM_MISSING: "JEMPL_E_PARAM_MISSING",
+  PARAM_INVALID_TYPE: "JEMPL_E_PARAM_INVALID_TYPE",
+  PARTIAL_SCOPE_INVALID: "JEMPL_E_PARTIAL_SCOPE_INVALID",
+};
+
 export class JemplParseError extends Error {
-  constructor(message) {
+  /**
+   * @param {string} message - Human readable message
+   * @param {string} [code] - One of ErrorCode
+   * @param {Object} [details] - Structured details (expression, partial name, got type, ...)
+   */
+  constructor(message, code = ErrorCode.PARSE, details = {}) {
     super(`Parse Error: ${message}`);
     this.name = "JemplParseError";
+    this.code = code;
+    this.details = details;
+    this.templatePath = undefined;
+    this.excerpt = undefined;
   }
 }
 
 export class JemplRenderError extends Error {
-  constructor(message) {
+  /**
+   * @param {string} message - Human readable message
+   * @param {string} [code] - One of ErrorCode
+   * @param {Object} [details] - Structured details (expression, partial name, got type, ...)
+   */
+  constructor(message, code = ErrorCode.RENDER, details = {}) {
     super(`Render Error: ${message}`);
     this.name = "JemplRenderError";
+    this.code = code;
+    this.details = details;
+    this.templatePath = undefined;
+    this.excerpt = undefined;
   }
 }
 
+/**
+ * Template location helpers
+ */
+
+const MAX_EXCERPT_LENGTH = 80;
+
+// AST node -> { path, value, key } recorded at parse time, so render errors can
+// point back at the template without storing anything on the AST itself
+const templateLocations = new WeakMap();
+
+/**
+ * Formats path segments as a JSON-pointer-style location
+ * @param {Array<string|number>} path - Path segments like ["page", "sections", 3]
+ * @returns {string} Location like "/page/sections/3"
+ */
+export const formatTemplatePath = (path) =>
+  path
+    .map(
+      (segment) =>
+        "/" + String(segment).replace(/~/g, "~0").replace(/\//g, "~1"),
+    )
+    .join("");
+
+/**
+ * Formats a template value as a short single-line excerpt
+ * @param {any} source - Template value
+ * @returns {string} Excerpt, truncated to MAX_EXCERPT_LENGTH characters
+ */
+export const formatTemplateExcerpt = (source) => {
+  let text;
+  try {
+    text = typeof source === "string" ? source : JSON.stringify(source);
+  } catch {
+    text = undefined;
+  }
+  if (text === undefined) {
+    text = String(source);
+  }
+  if (text.length > MAX_EXCERPT_LENGTH) {
+    return text.slice(0, MAX_EXCERPT_LENGTH - 3) + "...";
+  }
+  return text;
+};
+
+/**
+ * Attaches a template location to a Jempl error. The innermost location wins:
+ * errors that already carry a location are returned unchanged.
+ * @param {Error} error - Error to annotate
+ * @param {Array<string|number>} path - Template path segments
+ * @param {any} source - Template value at that path, used for the excerpt
+ * @returns {Error} The same error
+ */
+export const withTemplateLocation = (error, path, source) => {
+  if (
+    !(error instanceof JemplParseError || error instanceof JemplRenderError) ||
+    error.templatePath !== undefined
+  ) {
+    return error;
+  }
+
+  const previousMessage = error.message;
+  error.templatePath = formatTemplatePath(path);
+  error.excerpt = formatTemplateExcerpt(source);
+  error.message += `\n  at ${error.templatePath || "/"}\n  near: ${error.excerpt}`;
+  if (typeof error.stack === "string") {
+    error.stack = error.stack.replace(previousMessage, error.message);
+  }
+  return error;
+};
+
+/**
+ * Records where an AST node came from in the template
+ * @param {Object} node - AST node
+ * @param {Array<string|number>} path - Template path segments
+ * @param {any} value - Template value at that path
+ * @param {string} [key] - Template key of the value, when the key is part of the excerpt
+ */
+export const recordTemplateLocation = (node, path, value, key) => {
+  if (node && typeof node === "object" && !templateLocations.has(node)) {
+    templateLocations.set(node, { path, value, key });
+  }
+};
+
+/**
+ * Gives a copy of an AST node the template location of the original
+ * @param {Object} from - Original AST node
+ * @param {Object} to - Copy of the node
+ */
+export const copyTemplateLocation = (from, to) => {
+  const location = templateLocations.get(from);
+  if (location && !templateLocations.has(to)) {
+    templateLocations.set(to, location);
+  }
+};
+
+/**
+ * Attaches the recorded template location of an AST node to an error
+ * @param {Error} error - Error to annotate
+ * @param {Object} node - AST node the error relates to
+ * @returns {Error} The same error
+ */
+export const withNodeLocation = (error, node) => {
+  const location = templateLocations.get(node);
+  if (!location) {
+    return error;
+  }
+  const { path, value, key } = location;
+  return withTemplateLocation(
+    error,
+    path,
+    key === undefined ? value : { [key]: value },
+  );
+};
+
+/**
+ * Suggestion helpers
+ */
+
+// Lists of available names longer than this are summarized instead of listed
+const MAX_LISTED_NAMES = 10;
+
+/**
+ * Computes the edit distance between two strings, counting insertions,
+ * deletions, substitutions and adjacent transpositions as one edit each
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const editDistance = (a, b) => {
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Finds the candidate closest to a misspelled name
+ * @param {string} name - Name that was not found
+ * @param {Iterable<string>} candidates - Names that exist
+ * @returns {string|undefined} Closest candidate within a third of the name's length
+ */
+export const findClosestName = (name, candidates) => {
+  const target = String(name).toLowerCase();
+  const maxDistance = Math.max(1, Math.floor(target.length / 3));
+  let closest;
+  let closestDistance = Infinity;
+  for (const candidate of candidates) {
+    if (candidate === name) {
+      continue;
+    }
+    const distance = editDistance(target, String(candidate).toLowerCase());
+    if (distance <= maxDistance && distance < closestDistance) {
+      closest = candidate;
+      closestDistance = distance;
+    }
+  }
+  return closest;
+};
+
+/**
+ * Formats a "did you mean" hint to append to an error message
+ * @param {string|undefined} suggestion - Suggested name
+ * @returns {string} Hint like " - did you mean 'uppercase'?", or "" without a suggestion
+ */
+export const formatSuggestion = (suggestion) =>
+  suggestion === undefined ? "" : ` - did you mean '${suggestion}'?`;
+
+/**
+ * Describes an unknown function: a suggestion when one is close enough,
+ * otherwise the available names (summarized when there are many)
+ * @param {string} name - Unknown function name
+ * @param {Array<string>} available - Available function names
+ * @param {string} noneMessage - Text used when no functions are available
+ * @returns {{message: string, suggestion: string|undefined}}
+ */
+const describeUnknownFunction = (name, available, noneMessage) => {
+  const suggestion = findClosestName(name, available);
+  let hint;
+  if (suggestion !== undefined) {
+    hint = formatSuggestion(suggestion);
+  } else if (available.length === 0) {
+    hint = ` (${noneMessage})`;
+  } else if (available.length > MAX_LISTED_NAMES) {
+    hint = ` (${available.length} functions available)`;
+  } else {
+    hint = ` (${available.join(", ")})`;
+  }
+  return { message: `Unknown function '${name}'${hint}`, suggestion };
+};
+
 /**
  * Validation helpers for common error scenarios
  */
@@ -30,6 +332,8 @@ export const validateVariableSyntax = (expr) => {
   if (expr.startsWith("${") && !expr.endsWith("}")) {
     throw new JemplParseError(
       `Unclosed variable expression (got: '${expr}') - missing closing '}'`,
+      ErrorCode.VARIABLE_UNCLOSED,
+      { expression: expr },
     );
   }
 };
@@ -41,14 +345,21 @@ export const validateVariableSyntax = (expr) => {
  */
 export const validateConditionExpression = (expr) => {
   if (!expr || expr.trim() === "") {
-    throw new JemplParseError("Missing condition expression after '$if'");
+    throw new JemplParseError(
+      "Missing condition expression after '$if'",
+      ErrorCode.CONDITION_MISSING,
+      { directive: "$if" },
+    );
   }
 
   // Check for invalid triple equals first (before incomplete check)
   if (expr.includes("===") || expr.includes("!==")) {
+    const operator = expr.includes("===") ? "===" : "!==";
     const suggestion = expr.includes("===") ? "==" : "!=";
     throw new JemplParseError(
-      `Invalid comparison operator '${expr.includes("===") ? "===" : "!=="}' - did you mean '${suggestion}'? (got: '${expr}')`,
+      `Invalid comparison operator '${operator}' - did you mean '${suggestion}'? (got: '${expr}')`,
+      ErrorCode.CONDITION_INVALID_OPERATOR,
+      { expression: expr, operator, suggestion },
     );
   }
 
@@ -58,6 +369,8 @@ export const validateConditionExpression = (expr) => {
     if (expr.trim().endsWith(op)) {
       throw new JemplParseError(
         `Incomplete comparison expression - missing right operand (got: '${expr}')`,
+        ErrorCode.CONDITION_INCOMPLETE,
+        { expression: expr, operator: op },
       );
     }
   }
@@ -73,12 +386,16 @@ export const validateLoopSyntax = (expr) => {
   if (expr.trim().endsWith(" in")) {
     throw new JemplParseError(
       `Missing iterable expression after 'in' (got: '$for ${expr}')`,
+      ErrorCode.LOOP_MISSING_ITERABLE,
+      { expression: expr },
     );
   }
 
   if (!expr.includes(" in ")) {
     throw new JemplParseError(
       `Invalid loop syntax - missing 'in' keyword (got: '$for ${expr}')`,
+      ErrorCode.LOOP_MISSING_IN,
+      { expression: expr },
     );
   }
 
@@ -87,6 +404,8 @@ export const validateLoopSyntax = (expr) => {
   if (!iterableExpr || iterableExpr.trim() === "") {
     throw new JemplParseError(
       `Missing iterable expression after 'in' (got: '$for ${expr}')`,
+      ErrorCode.LOOP_MISSING_ITERABLE,
+      { expression: expr },
     );
   }
 
@@ -99,11 +418,17 @@ export const validateLoopSyntax = (expr) => {
     if (!varName) {
       throw new JemplParseError(
         `Invalid loop variable - variable name cannot be empty (got: '$for ${expr}')`,
+        ErrorCode.LOOP_INVALID_VARIABLE,
+        { expression: expr, variable: varName },
       );
     }
     // Check if valid identifier (starts with letter, $, or _, followed by letters, digits, $, or _)
     if (!/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(varName)) {
-      throw new JemplParseError(`Invalid loop syntax (got: '$for ${expr}')`);
+      throw new JemplParseError(
+        `Invalid loop syntax (got: '$for ${expr}')`,
+        ErrorCode.LOOP_INVALID_VARIABLE,
+        { expression: expr, variable: varName },
+      );
     }
   }
 };
@@ -116,13 +441,17 @@ export const validateLoopSyntax = (expr) => {
  */
 export const validateFunctionExists = (name, availableFunctions) => {
   if (!availableFunctions || !availableFunctions[name]) {
-    const available =
-      availableFunctions && Object.keys(availableFunctions).length > 0
-        ? Object.keys(availableFunctions).join(", ")
-        : "none";
-    throw new JemplParseError(
-      `Unknown function '${name}' (available functions: ${available})`,
+    const available = Object.keys(availableFunctions || {});
+    const { message, suggestion } = describeUnknownFunction(
+      name,
+      available,
+      "no functions available",
     );
+    throw new JemplParseError(message, ErrorCode.FUNCTION_UNKNOWN, {
+      name,
+      available,
+      suggestion,
+    });
   }
 };
 
@@ -136,6 +465,8 @@ export const validateFunctionCallSyntax = (expr) => {
   if (expr.includes("(") && !expr.includes(")")) {
     throw new JemplParseError(
       `Unclosed function call (got: '${expr}') - missing closing ')'`,
+      ErrorCode.FUNCTION_UNCLOSED,
+      { expression: expr },
     );
   }
 };
@@ -147,7 +478,33 @@ export const validateFunctionCallSyntax = (expr) => {
  * @returns {JemplRenderError}
  */
 export const createVariableRenderError = (path, issue) => {
-  return new JemplRenderError(`${issue} at path '${path}'`);
+  return new JemplRenderError(
+    `${issue} at path '${path}'`,
+    ErrorCode.VARIABLE_UNRESOLVED,
+    { path },
+  );
+};
+
+/**
+ * Creates render error for a variable that is missing from the data in strict mode
+ * @param {string} path - Variable path like "usr.name"
+ * @param {string} existingPath - Longest prefix of the path that exists, "" if none
+ * @param {string} [suggestion] - Existing path the variable was probably meant to be
+ * @returns {JemplRenderError}
+ */
+export const createMissingVariableRenderError = (
+  path,
+  existingPath,
+  suggestion,
+) => {
+  const hint = existingPath
+    ? `nearest existing path is '${existingPath}'`
+    : "no part of the path exists";
+  return new JemplRenderError(
+    `Variable '${path}' is not defined (${hint})${formatSuggestion(suggestion)}`,
+    ErrorCode.VARIABLE_UNRESOLVED,
+    { path, existingPath, suggestion },
+  );
 };
 
 /**
@@ -158,25 +515,34 @@ export const createVariableRenderError = (path, issue) => {
  * @returns {JemplRenderError}
  */
 export const createIterationRenderError = (expr, value, isFunction = false) => {
+  const type = value === null ? "null" : typeof value;
+  const details = { expression: expr, gotType: type };
   if (value === null) {
     return new JemplRenderError(
       `Cannot iterate over null value at '$for ${expr}'`,
+      ErrorCode.LOOP_NOT_ITERABLE,
+      details,
     );
   }
   if (value === undefined) {
     return new JemplRenderError(
       `Cannot iterate over undefined value at '$for ${expr}'`,
+      ErrorCode.LOOP_NOT_ITERABLE,
+      details,
     );
   }
-  const type = typeof value;
   // Use different format for function calls vs variables
   if (isFunction) {
     return new JemplRenderError(
       `Cannot iterate over non-array value in loop '${expr}' - got ${type} instead`,
+      ErrorCode.LOOP_NOT_ITERABLE,
+      details,
     );
   }
   return new JemplRenderError(
     `Cannot iterate over non-array value (got: ${type}) at '$for ${expr}'`,
+    ErrorCode.LOOP_NOT_ITERABLE,
+    details,
   );
 };
 
@@ -187,9 +553,15 @@ export const createIterationRenderError = (expr, value, isFunction = false) => {
  * @returns {JemplRenderError}
  */
 export const createUnknownFunctionRenderError = (name, availableFunctions) => {
-  const available =
-    availableFunctions && Object.keys(availableFunctions).length > 0
-      ? Object.keys(availableFunctions).join(", ")
-      : "no custom functions provided";
-  return new JemplRenderError(`Unknown function '${name}' (${available})`);
+  const available = Object.keys(availableFunctions || {});
+  const { message, suggestion } = describeUnknownFunction(
+    name,
+    available,
+    "no custom functions provided",
+  );
+  return new JemplRenderError(message, ErrorCode.FUNCTION_UNKNOWN, {
+    name,
+    available,
+    suggestion,
+  });
 };
@@ -1,6 +1,7 @@
 import * as defaultFunctions from "./functions.js";
 import { evaluateConditionNode } from "./render.js";
-import { JemplParseError } from "./errors.js";
+import { JemplParseError, ErrorCode } from "./errors.js";
+import { withClock } from "./clock.js";
 import { parseConditionExpression, parseConditionJson } from "./parse/utils.js";
 
 const isParsedConditionNode = (value) =>
@@ -16,7 +17,8 @@ const getFunctionsOption = (options = {}) => {
 
   if (
     Object.prototype.hasOwnProperty.call(options, "functions") ||
-    Object.prototype.hasOwnProperty.call(options, "partials")
+    Object.prototype.hasOwnProperty.call(options, "partials") ||
+    Object.prototype.hasOwnProperty.call(options, "clock")
   ) {
     return options.functions || {};
   }
@@ -31,7 +33,11 @@ const parseConditionInput = (condition, functions) => {
 
   if (typeof condition === "string") {
     if (condition.trim() === "") {
-      throw new JemplParseError("Empty condition expression");
+      throw new JemplParseError(
+        "Empty condition expression",
+        ErrorCode.CONDITION_MISSING,
+        { directive: "evaluateCondition" },
+      );
     }
 
     return parseConditionExpression(condition, functions);
@@ -48,19 +54,23 @@ const parseConditionInput = (condition, functions) => {
  * @param {Object} data - Data context used for variable lookup
  * @param {Object} [options] - Options object or legacy functions object
  * @param {Object.<string, Function>} [options.functions] - Custom functions
+ * @param {Function|number|Date} [options.clock] - Current time for `now()` and the date functions
  * @returns {boolean} Whether the condition is truthy
  */
 const evaluateCondition = (condition, data = {}, options = {}) => {
   const functions = getFunctionsOption(options);
+  const clock = functions === options ? undefined : options?.clock;
   const allFunctions = { ...defaultFunctions, ...functions };
   const conditionNode = parseConditionInput(condition, allFunctions);
 
   return Boolean(
-    evaluateConditionNode(
-      conditionNode,
-      { functions: allFunctions, partials: {} },
-      data,
-      {},
+    withClock(clock, () =>
+      evaluateConditionNode(
+        conditionNode,
+        { functions: allFunctions, partials: {} },
+        data,
+        {},
+      ),
     ),
   );
 };
@@ -1,3 +1,10 @@
+import { currentTime } from "./clock.js";
+
+/**
+ * Returns the current timestamp in milliseconds, read from the `clock`
+ * option when one is given
+ * @returns {number}
+ */
 export const now = () => {
-  return Date.now();
+  return currentTime();
 };
@@ -3,6 +3,7 @@ import parse from "./parse/index.js";
 import parseAndRender from "./parseAndRender.js";
 import evaluateCondition from "./evaluateCondition.js";
 import { parseConditionExpression, parseConditionJson } from "./parse/utils.js";
+import { ErrorCode, JemplParseError, JemplRenderError } from "./errors.js";
 
 export {
   render,
@@ -11,4 +12,7 @@ export {
   evaluateCondition,
   parseConditionExpression,
   parseConditionJson,
+  ErrorCode,
+  JemplParseError,
+  JemplRenderError,
 };
@@ -11,6 +11,17 @@ export const NodeType = {
   ARRAY: 9,
   PARTIAL: 10,
   PATH_REFERENCE: 11,
+  ERROR: 12,
+  TERNARY: 13,
+  SWITCH: 14,
+  RANGE: 15,
+  LET: 16,
+  SPREAD: 17,
+  ENTRIES: 18,
+  SLOT: 19,
+  BLOCK: 20,
+  EXTENDS: 21,
+  PARAMS: 22,
 };
 
 export const BinaryOp = {
@@ -25,8 +36,13 @@ export const BinaryOp = {
   IN: 8, // in
   ADD: 10, // +
   SUBTRACT: 11, // -
+  NULLISH: 12, // ??
+  MULTIPLY: 13, // *
+  DIVIDE: 14, // /
+  MODULO: 15, // %
 };
 
 export const UnaryOp = {
   NOT: 0, // !
+  NEGATE: 1, // -
 };
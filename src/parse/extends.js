@@ -0,0 +1,148 @@
+import { NodeType } from "./constants.js";
+import { copyTemplateLocation } from "../errors.js";
+
+/**
+ * Template inheritance helpers, shared by parse (when the base template is
+ * known) and render (when the base is only known as a parsed partial)
+ */
+
+/**
+ * Rebuilds an AST, replacing the nodes `visit` returns a replacement for.
+ * Unchanged subtrees are shared with the original, and copied nodes lose
+ * their render caches and fast paths since they may now hold blocks.
+ * @param {any} value - AST node or a value inside one
+ * @param {Function} visit - (node) => replacement node, or undefined to descend
+ * @returns {any} The original value when nothing was replaced
+ */
+const mapAst = (value, visit) => {
+  if (Array.isArray(value)) {
+    let changed = false;
+    const items = value.map((item) => {
+      const mapped = mapAst(item, visit);
+      changed ||= mapped !== item;
+      return mapped;
+    });
+    return changed ? items : value;
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+
+  if (typeof value.type === "number") {
+    const replacement = visit(value);
+    if (replacement !== undefined) {
+      return replacement;
+    }
+  }
+
+  let copy = null;
+  for (const [key, child] of Object.entries(value)) {
+    // Keys starting with "_" are render caches, not part of the tree
+    if (key.startsWith("_")) {
+      continue;
+    }
+    const mapped = mapAst(child, visit);
+    if (mapped !== child) {
+      copy ??= Object.fromEntries(
+        Object.entries(value).filter(([name]) => !name.startsWith("_")),
+      );
+      copy[key] = mapped;
+    }
+  }
+  if (copy === null) {
+    return value;
+  }
+  if (copy.fast === true) {
+    copy.fast = false;
+  }
+  copyTemplateLocation(value, copy);
+  return copy;
+};
+
+/**
+ * Lists the names of the `$block` regions of a template
+ * @param {Object} ast - Parsed template
+ * @returns {Array<string>} Block names in template order
+ */
+export const collectBlockNames = (ast) => {
+  const names = [];
+  mapAst(ast, (node) => {
+    if (
+      node.type === NodeType.BLOCK &&
+      node.name !== null &&
+      !names.includes(node.name)
+    ) {
+      names.push(node.name);
+    }
+    return undefined;
+  });
+  return names;
+};
+
+/**
+ * Finds a `$super` read with a property path, like `${$super.title}`. The
+ * parent content is only available as a whole, so these are errors.
+ * @param {Object} ast - Block override content
+ * @returns {string|null} The first such path
+ */
+export const findSuperPropertyPath = (ast) => {
+  let found = null;
+  mapAst(ast, (node) => {
+    if (
+      found === null &&
+      node.type === NodeType.VARIABLE &&
+      /^\$super[.[]/.test(node.path)
+    ) {
+      found = node.path;
+    }
+    return undefined;
+  });
+  return found;
+};
+
+/**
+ * Replaces `${$super}` references in a block override with the parent block
+ * @param {Object} override - Override content AST
+ * @param {Object} parentBlock - Unnamed block node holding the parent content
+ * @returns {Object} Override AST with the parent content in place
+ */
+const replaceSuper = (override, parentBlock) =>
+  mapAst(override, (node) => {
+    if (node.type === NodeType.VARIABLE && node.path === "$super") {
+      return parentBlock;
+    }
+    // A nested block's $super belongs to that block
+    if (node.type === NodeType.BLOCK) {
+      return node;
+    }
+    return undefined;
+  });
+
+/**
+ * Builds the AST of a child template by putting its block overrides into the
+ * base template. Blocks keep their names, so templates extending the result
+ * can override them again.
+ * @param {Object} node - Extends AST node with the child's blocks
+ * @param {Object} baseAst - Parsed base template, already resolved
+ * @returns {Object} Single AST for the child template
+ */
+export const resolveExtends = (node, baseAst) => {
+  const { blocks } = node;
+  const visit = (child) =>
+    child.type === NodeType.BLOCK ? resolveBlock(child) : undefined;
+  const resolveBlock = (block) => {
+    const content = block.content && mapAst(block.content, visit);
+    if (block.name === null || !Object.hasOwn(blocks, block.name)) {
+      return content === block.content ? block : { ...block, content };
+    }
+    // Unnamed, so templates extending the result cannot override it again
+    const parentBlock = { type: NodeType.BLOCK, name: null, content };
+    return {
+      type: NodeType.BLOCK,
+      name: block.name,
+      content: replaceSuper(blocks[block.name], parentBlock),
+    };
+  };
+
+  return mapAst(baseAst, visit);
+};
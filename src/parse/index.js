@@ -1,11 +1,18 @@
-import { parseValue } from "./utils.js";
+import {
+  parseTemplate,
+  withPartialTemplates,
+  collectParseErrors,
+} from "./utils.js";
 
 /**
  * Parses a JSON template into an Abstract Syntax Tree (AST)
  * @param {Object} template - The JSON template to parse
  * @param {Object} [options] - Options object
  * @param {Object.<string, Function>} [options.functions={}] - Custom functions
- * @returns {Object} The parsed AST
+ * @param {Object.<string, any>} [options.partials={}] - Partial templates, used to resolve `$extends`
+ *   and to check literal partial calls against `$params` at parse time
+ * @param {boolean} [options.collectErrors=false] - Keep parsing after errors and return `{ ast, errors }`
+ * @returns {Object} The parsed AST, or `{ ast, errors }` when collecting errors
  * @throws {JemplParseError} When template syntax is invalid (malformed conditions, loops, variables, etc.)
  *
  * @example
@@ -25,10 +32,27 @@ import { parseValue } from "./utils.js";
  *   { timestamp: "${formatDate(now())}" },
  *   { functions: { formatDate: (date) => new Date(date).toISOString() } }
  * );
+ *
+ * @example
+ * // Child template put into its base layout as a single AST
+ * const ast = parse(
+ *   { $extends: "layout", $blocks: { title: "Home" } },
+ *   { partials: { layout: { title: { $block: "title", $content: "Site" } } } }
+ * );
+ *
+ * @example
+ * // Report every problem at once; failed values become ERROR nodes
+ * const { ast, errors } = parse(template, { collectErrors: true });
+ * errors.forEach((error) => console.log(error.templatePath, error.message));
  */
 const parse = (template, options = {}) => {
-  const { functions = {} } = options;
-  return parseValue(template, functions);
+  const { functions = {}, partials = {}, collectErrors = false } = options;
+  const parseFn = () =>
+    withPartialTemplates(partials, () => parseTemplate(template, functions));
+  if (collectErrors) {
+    return collectParseErrors(parseFn);
+  }
+  return parseFn();
 };
 
 export default parse;
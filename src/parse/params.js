@@ -0,0 +1,24 @@
+/**
+ * Partial parameter helpers, shared by parse (literal call sites) and render
+ */
+
+/**
+ * Types a `$params` declaration can require
+ */
+export const PARAM_TYPES = ["string", "number", "boolean", "array", "object"];
+
+/**
+ * Returns the param type of a value, telling arrays and null apart from objects
+ * @param {any} value - Value passed to a partial
+ * @returns {string} "array", "null" or the typeof name
+ */
+export const getParamType = (value) =>
+  Array.isArray(value) ? "array" : value === null ? "null" : typeof value;
+
+/**
+ * Formats a param type with its article, like "a string" or "an array"
+ * @param {string} type - Param type
+ * @returns {string}
+ */
+export const formatParamType = (type) =>
+  (/^[aeiou]/.test(type) ? "an " : "a ") + type;
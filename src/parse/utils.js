@@ -1,9 +1,20 @@
 import { NodeType, BinaryOp, UnaryOp } from "./constants.js";
 import { parseStringValue, parseVariable } from "./variables.js";
+import {
+  collectBlockNames,
+  findSuperPropertyPath,
+  resolveExtends,
+} from "./extends.js";
+import { PARAM_TYPES, getParamType, formatParamType } from "./params.js";
 import {
   validateConditionExpression,
   validateLoopSyntax,
   JemplParseError,
+  ErrorCode,
+  findClosestName,
+  formatSuggestion,
+  withTemplateLocation,
+  recordTemplateLocation,
 } from "../errors.js";
 
 const isPlainObject = (value) =>
@@ -18,32 +29,182 @@ const assertOnlyKeys = (value, allowedKeys, path) => {
   if (extraKeys.length > 0) {
     throw new JemplParseError(
       `Unexpected key '${extraKeys[0]}' in condition JSON at '${formatConditionJsonPath(path)}'`,
+      ErrorCode.CONDITION_JSON_INVALID,
+      { path: formatConditionJsonPath(path), key: extraKeys[0] },
     );
   }
 };
 
+/**
+ * Errors collected by the current collectParseErrors call, or null when
+ * parse errors should be thrown
+ */
+let collectedErrors = null;
+
+/**
+ * Runs a parse function, collecting parse errors instead of throwing on the
+ * first one. Failed template values are replaced by ERROR nodes.
+ * @param {Function} parseFn - Function producing the AST
+ * @returns {{ast: Object, errors: Array<JemplParseError>}} AST and collected errors
+ */
+export const collectParseErrors = (parseFn) => {
+  const previousErrors = collectedErrors;
+  const errors = [];
+  collectedErrors = errors;
+  try {
+    return { ast: parseFn(), errors };
+  } finally {
+    collectedErrors = previousErrors;
+  }
+};
+
+/**
+ * Partial templates of the current parse call, not parsed yet. Used to put
+ * `$extends` templates into their base and to check literal partial calls
+ * against the partial's `$params`.
+ */
+let partialTemplates = {};
+
+/**
+ * Runs a parse function with the partial templates it may refer to
+ * @param {Object.<string, any>} partials - Partial templates, not parsed yet
+ * @param {Function} parseFn - Function producing the AST
+ * @returns {any} Result of parseFn
+ */
+export const withPartialTemplates = (partials, parseFn) => {
+  const previousPartials = partialTemplates;
+  partialTemplates = partials;
+  try {
+    return parseFn();
+  } finally {
+    partialTemplates = previousPartials;
+  }
+};
+
+/**
+ * Locates a parse error and either throws it or, when collecting errors,
+ * records it and returns an ERROR placeholder node
+ * @param {Error} error - Error thrown while parsing
+ * @param {Array<string|number>} path - Template path segments
+ * @param {any} source - Template value at that path
+ * @returns {Object} ERROR node
+ * @throws {Error} The located error when not collecting errors
+ */
+const recoverParseError = (error, path, source) => {
+  const located = withTemplateLocation(error, path, source);
+  if (collectedErrors === null || !(located instanceof JemplParseError)) {
+    throw located;
+  }
+  collectedErrors.push(located);
+  return {
+    type: NodeType.ERROR,
+    code: located.code,
+    message: located.message,
+    templatePath: located.templatePath,
+  };
+};
+
+/**
+ * Records the template location of the nodes that can fail at render time
+ * (variables, function calls, arithmetic, ranges, path references, partials), descending into
+ * expression children. Loops record their own location in parseLoop, and
+ * structural children like object properties record deeper locations.
+ * @param {Object} node - AST node
+ * @param {Array<string|number>} path - Template path segments
+ * @param {any} value - Template value at that path
+ * @param {string} [key] - Template key of the value, when the key is part of the excerpt
+ */
+const recordNodeLocation = (node, path, value, key) => {
+  if (!node || typeof node !== "object") {
+    return;
+  }
+
+  switch (node.type) {
+    case NodeType.INTERPOLATION:
+      for (const part of node.parts) {
+        recordNodeLocation(part, path, value, key);
+      }
+      break;
+    case NodeType.FUNCTION:
+      recordTemplateLocation(node, path, value, key);
+      for (const arg of node.args) {
+        recordNodeLocation(arg, path, value, key);
+      }
+      break;
+    case NodeType.BINARY:
+      recordTemplateLocation(node, path, value, key);
+      recordNodeLocation(node.left, path, value, key);
+      recordNodeLocation(node.right, path, value, key);
+      break;
+    case NodeType.UNARY:
+      if (node.op === UnaryOp.NEGATE) {
+        recordTemplateLocation(node, path, value, key);
+      }
+      recordNodeLocation(node.operand, path, value, key);
+      break;
+    case NodeType.TERNARY:
+      recordNodeLocation(node.condition, path, value, key);
+      recordNodeLocation(node.consequent, path, value, key);
+      recordNodeLocation(node.alternate, path, value, key);
+      break;
+    case NodeType.RANGE:
+      recordTemplateLocation(node, path, value, key);
+      recordNodeLocation(node.start, path, value, key);
+      recordNodeLocation(node.end, path, value, key);
+      recordNodeLocation(node.step, path, value, key);
+      break;
+    case NodeType.VARIABLE:
+    case NodeType.PATH_REFERENCE:
+    case NodeType.PARTIAL:
+      recordTemplateLocation(node, path, value, key);
+      break;
+  }
+};
+
+const SWITCH_KEY_REGEX = /^\$switch(?:#(\w+))?$/;
+const SWITCH_BRANCH_KEY_REGEX = /^(\$case|\$default)(?:#\w+)?(?:\s|:|$)/;
+const SPREAD_KEY_REGEX = /^\$spread(?:#\w+)?$/;
+// Directives only allowed at the root of a template, and their error codes
+const ROOT_DIRECTIVE_CODES = {
+  $extends: ErrorCode.EXTENDS_INVALID,
+  $blocks: ErrorCode.EXTENDS_INVALID,
+  $params: ErrorCode.PARAMS_INVALID,
+  $isolated: ErrorCode.PARTIAL_SCOPE_INVALID,
+};
+const ENTRIES_KEY_REGEX = /^\$entries(?:#\w+)?$/;
+
 /**
  * Parses any value (string, number, boolean, null, object, array)
  * @param {any} value - The value to parse
  * @param {Object} functions - Custom functions object
+ * @param {Array<string|number>} [path=[]] - Template path of the value, used for error locations
  * @returns {Object} AST node
  */
-export const parseValue = (value, functions) => {
-  if (typeof value === "string") {
-    return parseStringValue(value, functions);
-  } else if (typeof value === "object" && value !== null) {
-    if (Array.isArray(value)) {
-      return parseArray(value, functions);
+export const parseValue = (value, functions, path = []) => {
+  let node;
+
+  try {
+    if (typeof value === "string") {
+      node = parseStringValue(value, functions);
+    } else if (typeof value === "object" && value !== null) {
+      if (Array.isArray(value)) {
+        node = parseArray(value, functions, path);
+      } else {
+        node = parseObject(value, functions, path);
+      }
     } else {
-      return parseObject(value, functions);
+      // Number, boolean, null
+      node = {
+        type: NodeType.LITERAL,
+        value,
+      };
     }
-  } else {
-    // Number, boolean, null
-    return {
-      type: NodeType.LITERAL,
-      value,
-    };
+  } catch (error) {
+    return recoverParseError(error, path, value);
   }
+
+  recordNodeLocation(node, path, value);
+  return node;
 };
 
 /**
@@ -56,17 +217,29 @@ const transformEachToFor = (obj) => {
 
   // Validate $each value
   if (typeof $each !== "string") {
-    throw new JemplParseError("$each value must be a non-empty string");
+    throw new JemplParseError(
+      "$each value must be a non-empty string",
+      ErrorCode.EACH_INVALID_VALUE,
+      { gotType: $each === null ? "null" : typeof $each },
+    );
   }
 
   const trimmedEach = $each.trim();
   if (trimmedEach === "") {
-    throw new JemplParseError("$each value must be a non-empty string");
+    throw new JemplParseError(
+      "$each value must be a non-empty string",
+      ErrorCode.EACH_INVALID_VALUE,
+      { gotType: $each === null ? "null" : typeof $each },
+    );
   }
 
   // Check for empty body
   if (Object.keys(bodyProps).length === 0) {
-    throw new JemplParseError("Empty $each body not allowed");
+    throw new JemplParseError(
+      "Empty $each body not allowed",
+      ErrorCode.EACH_EMPTY_BODY,
+      { expression: $each },
+    );
   }
 
   // Check for conflicting directives that would have different meaning in $each context
@@ -74,25 +247,76 @@ const transformEachToFor = (obj) => {
     throw new JemplParseError(
       "Cannot use $partial with $each at the same level. " +
         "Wrap $partial in a parent object if you need conditionals.",
+      ErrorCode.PARTIAL_CONFLICT,
+      { partial: bodyProps.$partial, directives: ["$each"] },
     );
   }
 
   // Construct the $for key
   const forKey = `$for ${trimmedEach}`;
 
+  // $empty is the fallback for empty iterables, not part of the body
+  const { $empty, ...body } = bodyProps;
+  if ($empty !== undefined) {
+    return {
+      [forKey]: body,
+      $empty,
+    };
+  }
+
   // Return transformed structure
   return {
     [forKey]: bodyProps,
   };
 };
 
+/**
+ * Matches the keys of a loop array item: the loop key, optionally followed
+ * by an `$empty` fallback (or `$else`, for `$for` loops)
+ * @param {Array<string>} keys - Keys of the array item
+ * @param {boolean} [isFromEach=false] - Whether the item came from $each, whose `$else` keys belong to the body
+ * @returns {{loopKey: string, emptyKey: string|null}|null} null when the item is not a loop
+ */
+const matchLoopKeys = (keys, isFromEach = false) => {
+  if (!/^\$for(?::\w+)?\s/.test(keys[0])) {
+    return null;
+  }
+  if (keys.length === 1) {
+    return { loopKey: keys[0], emptyKey: null };
+  }
+  const emptyKeys = isFromEach ? ["$empty"] : ["$empty", "$else"];
+  if (keys.length === 2 && emptyKeys.includes(keys[1])) {
+    return { loopKey: keys[0], emptyKey: keys[1] };
+  }
+  return null;
+};
+
+/**
+ * Parses a loop array item and its optional `$empty` fallback
+ * @param {Object} item - Array item with the $for key
+ * @param {{loopKey: string, emptyKey: string|null}} loopKeys - Result of matchLoopKeys
+ * @param {Object} functions - Custom functions object
+ * @param {boolean} isFromEach - Whether this came from $each transformation
+ * @param {Array<string|number>} path - Template path of the array item
+ * @returns {Object} Loop AST node
+ */
+const parseLoopItem = (item, loopKeys, functions, isFromEach, path) => {
+  const { loopKey, emptyKey } = loopKeys;
+  const loop = parseLoop(loopKey, item[loopKey], functions, isFromEach, path);
+  if (emptyKey !== null && loop.type === NodeType.LOOP) {
+    loop.empty = parseValue(item[emptyKey], functions, [...path, emptyKey]);
+  }
+  return loop;
+};
+
 /**
  * Parses an array template
  * @param {Array} arr - The array to parse
  * @param {Object} functions - Custom functions object
+ * @param {Array<string|number>} [path=[]] - Template path of the array
  * @returns {Object} Array AST node
  */
-export const parseArray = (arr, functions) => {
+export const parseArray = (arr, functions, path = []) => {
   const items = [];
   let hasDynamicContent = false;
 
@@ -106,14 +330,15 @@ export const parseArray = (arr, functions) => {
         // Transform $each syntax to $for syntax
         try {
           const transformedItem = transformEachToFor(item);
-          const keys = Object.keys(transformedItem);
+          const loopKeys = matchLoopKeys(Object.keys(transformedItem), true);
           // Process as normal $for with isFromEach flag
-          if (keys.length === 1 && /^\$for(?::\w+)?\s/.test(keys[0])) {
-            const loop = parseLoop(
-              keys[0],
-              transformedItem[keys[0]],
+          if (loopKeys) {
+            const loop = parseLoopItem(
+              transformedItem,
+              loopKeys,
               functions,
               true,
+              [...path, i],
             );
             items.push(loop);
             hasDynamicContent = true;
@@ -122,30 +347,38 @@ export const parseArray = (arr, functions) => {
         } catch (error) {
           // Re-throw with $each context if it's a parse error
           if (error instanceof JemplParseError) {
-            throw error;
+            items.push(recoverParseError(error, [...path, i, "$each"], item));
+            continue;
           }
           throw new JemplParseError(error.message);
         }
       }
 
       // Check if this is a loop in array syntax
-      const keys = Object.keys(item);
-      if (keys.length === 1 && /^\$for(?::\w+)?\s/.test(keys[0])) {
-        const loop = parseLoop(keys[0], item[keys[0]], functions);
+      const loopKeys = matchLoopKeys(Object.keys(item));
+      if (loopKeys) {
+        const loop = parseLoopItem(item, loopKeys, functions, false, [
+          ...path,
+          i,
+        ]);
         items.push(loop);
         hasDynamicContent = true;
         continue;
       }
     }
 
-    const parsedItem = parseValue(item, functions);
+    const parsedItem = parseValue(item, functions, [...path, i]);
     items.push(parsedItem);
 
     if (
       parsedItem.type === NodeType.FUNCTION ||
       parsedItem.type === NodeType.CONDITIONAL ||
+      parsedItem.type === NodeType.SWITCH ||
+      parsedItem.type === NodeType.LET ||
       parsedItem.type === NodeType.LOOP ||
       parsedItem.type === NodeType.PARTIAL ||
+      parsedItem.type === NodeType.SLOT ||
+      parsedItem.type === NodeType.BLOCK ||
       (parsedItem.type === NodeType.OBJECT && !parsedItem.fast) ||
       (parsedItem.type === NodeType.ARRAY && !parsedItem.fast)
     ) {
@@ -160,17 +393,583 @@ export const parseArray = (arr, functions) => {
   };
 };
 
+const LET_VARIABLE_REGEX = /^[a-zA-Z_$][a-zA-Z0-9_$]*$/;
+const RESERVED_LET_NAMES = [
+  "this",
+  "undefined",
+  "null",
+  "true",
+  "false",
+  "$loop",
+];
+
+/**
+ * Parses `$let` (or its alias `$with`) bindings and the rest of the object,
+ * which sees the bound names in its scope
+ * @param {Object} obj - Object with a $let or $with key
+ * @param {Object} functions - Custom functions object
+ * @param {Array<string|number>} path - Template path of the object
+ * @returns {Object} Let AST node
+ */
+const parseLet = (obj, functions, path) => {
+  if (obj.$let !== undefined && obj.$with !== undefined) {
+    throw withTemplateLocation(
+      new JemplParseError(
+        "Cannot use '$let' and '$with' on the same object - '$with' is an alias of '$let'",
+        ErrorCode.LET_INVALID,
+        { directives: ["$let", "$with"] },
+      ),
+      [...path, "$with"],
+      { $with: obj.$with },
+    );
+  }
+
+  const directive = obj.$let !== undefined ? "$let" : "$with";
+  const { [directive]: value, ...rest } = obj;
+  const letPath = [...path, directive];
+  if (!isPlainObject(value) || getOwnKeys(value).length === 0) {
+    throw withTemplateLocation(
+      new JemplParseError(
+        `'${directive}' must be an object of names and values, like '${directive}: { total: "\${price * quantity}" }'`,
+        ErrorCode.LET_INVALID,
+        {
+          directive,
+          gotType: Array.isArray(value)
+            ? "array"
+            : value === null
+              ? "null"
+              : typeof value,
+        },
+      ),
+      letPath,
+      { [directive]: value },
+    );
+  }
+
+  const bindings = [];
+  for (const [name, expression] of Object.entries(value)) {
+    const bindingPath = [...letPath, name];
+    let binding;
+    try {
+      if (!LET_VARIABLE_REGEX.test(name)) {
+        throw new JemplParseError(
+          `Invalid variable name '${name}' in '${directive}'`,
+          ErrorCode.LET_INVALID_VARIABLE,
+          { directive, variable: name },
+        );
+      }
+      if (RESERVED_LET_NAMES.includes(name)) {
+        throw new JemplParseError(
+          `Reserved variable name '${name}' in '${directive}'`,
+          ErrorCode.LET_INVALID_VARIABLE,
+          { directive, variable: name },
+        );
+      }
+      binding = parseValue(expression, functions, bindingPath);
+    } catch (error) {
+      binding = recoverParseError(error, bindingPath, { [name]: expression });
+    }
+    bindings.push({ name, value: binding });
+  }
+
+  return {
+    type: NodeType.LET,
+    bindings,
+    body: parseObject(rest, functions, path),
+  };
+};
+
+/**
+ * Parses a `$slot` placeholder in a partial and its optional `$fallback`
+ * content, rendered when the caller fills no content for the slot
+ * @param {Object} obj - Object with a $slot key
+ * @param {Object} functions - Custom functions object
+ * @param {Array<string|number>} path - Template path of the object
+ * @returns {Object} Slot AST node
+ */
+const parseSlot = (obj, functions, path) => {
+  const { $slot, $fallback, ...rest } = obj;
+  if (typeof $slot !== "string" || $slot.trim() === "") {
+    throw withTemplateLocation(
+      new JemplParseError(
+        "$slot value must be a non-empty string naming the slot",
+        ErrorCode.SLOT_INVALID,
+        { gotType: $slot === null ? "null" : typeof $slot },
+      ),
+      [...path, "$slot"],
+      { $slot },
+    );
+  }
+  const extraKeys = getOwnKeys(rest);
+  if (extraKeys.length > 0) {
+    throw withTemplateLocation(
+      new JemplParseError(
+        `Unexpected key '${extraKeys[0]}' next to '$slot' - only '$fallback' is allowed`,
+        ErrorCode.SLOT_INVALID,
+        { slot: $slot, key: extraKeys[0] },
+      ),
+      [...path, extraKeys[0]],
+      { [extraKeys[0]]: rest[extraKeys[0]] },
+    );
+  }
+
+  return {
+    type: NodeType.SLOT,
+    name: $slot.trim(),
+    fallback:
+      $fallback === undefined
+        ? null
+        : parseValue($fallback, functions, [...path, "$fallback"]),
+  };
+};
+
+/**
+ * Parses the `$slots` of a partial call: template content for each slot name
+ * @param {any} value - Value of the $slots key
+ * @param {Object} functions - Custom functions object
+ * @param {Array<string|number>} path - Template path of the $slots key
+ * @returns {Object<string, Object>} Content AST node by slot name
+ */
+const parseSlotContent = (value, functions, path) => {
+  if (!isPlainObject(value)) {
+    throw withTemplateLocation(
+      new JemplParseError(
+        "$slots must be an object of slot names and content, like '$slots: { header: [...] }'",
+        ErrorCode.SLOT_INVALID,
+        { gotType: Array.isArray(value) ? "array" : typeof value },
+      ),
+      path,
+      { $slots: value },
+    );
+  }
+  const slots = {};
+  for (const [name, content] of Object.entries(value)) {
+    slots[name] = parseValue(content, functions, [...path, name]);
+  }
+  return slots;
+};
+
+/**
+ * Parses a `$block` region of a base template and its default `$content`,
+ * which templates using `$extends` can override
+ * @param {Object} obj - Object with a $block key
+ * @param {Object} functions - Custom functions object
+ * @param {Array<string|number>} path - Template path of the object
+ * @returns {Object} Block AST node
+ */
+const parseBlock = (obj, functions, path) => {
+  const { $block, $content, ...rest } = obj;
+  if (typeof $block !== "string" || $block.trim() === "") {
+    throw withTemplateLocation(
+      new JemplParseError(
+        "$block value must be a non-empty string naming the block",
+        ErrorCode.BLOCK_INVALID,
+        { gotType: $block === null ? "null" : typeof $block },
+      ),
+      [...path, "$block"],
+      { $block },
+    );
+  }
+  const extraKeys = getOwnKeys(rest);
+  if (extraKeys.length > 0) {
+    throw withTemplateLocation(
+      new JemplParseError(
+        `Unexpected key '${extraKeys[0]}' next to '$block' - only '$content' is allowed`,
+        ErrorCode.BLOCK_INVALID,
+        { block: $block, key: extraKeys[0] },
+      ),
+      [...path, extraKeys[0]],
+      { [extraKeys[0]]: rest[extraKeys[0]] },
+    );
+  }
+
+  return {
+    type: NodeType.BLOCK,
+    name: $block.trim(),
+    content:
+      $content === undefined
+        ? null
+        : parseValue($content, functions, [...path, "$content"]),
+  };
+};
+
+/**
+ * Parses a whole template, including the directives only allowed at its
+ * root (`$isolated`, `$params` and `$extends`)
+ * @param {any} template - The template to parse
+ * @param {Object} functions - Custom functions object
+ * @param {Array<string>} [stack=[]] - Base templates being resolved, to detect cycles
+ * @returns {Object} AST node
+ */
+export const parseTemplate = (template, functions, stack = []) => {
+  if (isPlainObject(template) && template.$isolated !== undefined) {
+    return parseIsolated(template, functions, stack);
+  }
+  if (isPlainObject(template) && template.$params !== undefined) {
+    return parseParams(template, functions, stack);
+  }
+  if (isPlainObject(template) && template.$extends !== undefined) {
+    return parseExtends(template, functions, stack);
+  }
+  return parseValue(template, functions);
+};
+
+/**
+ * Parses a partial template with `$isolated` at its root, which decides
+ * whether the partial sees its caller's data and loop variables
+ * @param {Object} template - Template with an $isolated key
+ * @param {Object} functions - Custom functions object
+ * @param {Array<string>} stack - Base templates being resolved, to detect cycles
+ * @returns {Object} AST node of the rest of the template, marked `isolated`
+ */
+const parseIsolated = (template, functions, stack) => {
+  const { $isolated, ...rest } = template;
+  if (typeof $isolated !== "boolean") {
+    return recoverParseError(
+      new JemplParseError(
+        "$isolated value must be true or false",
+        ErrorCode.PARTIAL_SCOPE_INVALID,
+        { gotType: $isolated === null ? "null" : typeof $isolated },
+      ),
+      ["$isolated"],
+      { $isolated },
+    );
+  }
+  const node = parseTemplate(rest, functions, stack);
+  node.isolated = $isolated;
+  return node;
+};
+
+/**
+ * Parses a template with `$extends` at its root. When the base template is
+ * among the partial templates, the blocks are put into it right away and the
+ * result is a single AST; otherwise the Extends node is resolved at render time.
+ * @param {Object} template - Template with an $extends key
+ * @param {Object} functions - Custom functions object
+ * @param {Array<string>} stack - Base templates being resolved, to detect cycles
+ * @returns {Object} Resolved AST, or an Extends AST node
+ */
+const parseExtends = (template, functions, stack) => {
+  const { $extends, $blocks = {}, ...rest } = template;
+  let node;
+  try {
+    if (typeof $extends !== "string" || $extends.trim() === "") {
+      throw withTemplateLocation(
+        new JemplParseError(
+          "$extends value must be a non-empty string naming the base template",
+          ErrorCode.EXTENDS_INVALID,
+          { gotType: $extends === null ? "null" : typeof $extends },
+        ),
+        ["$extends"],
+        { $extends },
+      );
+    }
+    if ($extends.includes("${")) {
+      throw withTemplateLocation(
+        new JemplParseError(
+          `$extends must name the base template directly - \${...} names are not supported (got: '${$extends}')`,
+          ErrorCode.EXTENDS_INVALID,
+          { extends: $extends },
+        ),
+        ["$extends"],
+        { $extends },
+      );
+    }
+    const extraKeys = getOwnKeys(rest);
+    if (extraKeys.length > 0) {
+      throw withTemplateLocation(
+        new JemplParseError(
+          `Unexpected key '${extraKeys[0]}' next to '$extends' - put the content in '$blocks'`,
+          ErrorCode.EXTENDS_INVALID,
+          { extends: $extends, key: extraKeys[0] },
+        ),
+        [extraKeys[0]],
+        { [extraKeys[0]]: rest[extraKeys[0]] },
+      );
+    }
+    if (!isPlainObject($blocks)) {
+      throw withTemplateLocation(
+        new JemplParseError(
+          "$blocks must be an object of block names and content, like '$blocks: { content: [...] }'",
+          ErrorCode.EXTENDS_INVALID,
+          { gotType: Array.isArray($blocks) ? "array" : typeof $blocks },
+        ),
+        ["$blocks"],
+        { $blocks },
+      );
+    }
+
+    const blocks = {};
+    for (const [name, content] of Object.entries($blocks)) {
+      blocks[name] = parseValue(content, functions, ["$blocks", name]);
+      const superPath = findSuperPropertyPath(blocks[name]);
+      if (superPath !== null) {
+        throw withTemplateLocation(
+          new JemplParseError(
+            `'${superPath}' is not supported in block '${name}' - \${$super} is the parent block's whole content and has no properties`,
+            ErrorCode.BLOCK_INVALID,
+            { block: name, path: superPath },
+          ),
+          ["$blocks", name],
+          { [name]: content },
+        );
+      }
+    }
+    node = { type: NodeType.EXTENDS, name: $extends.trim(), blocks };
+    recordTemplateLocation(node, ["$extends"], $extends, "$extends");
+
+    if (!Object.hasOwn(partialTemplates, node.name)) {
+      return node;
+    }
+    if (stack.includes(node.name)) {
+      const cycle = [...stack, node.name];
+      throw withTemplateLocation(
+        new JemplParseError(
+          `Circular $extends detected: ${cycle.join(" -> ")}`,
+          ErrorCode.PARTIAL_CIRCULAR,
+          { partial: node.name, stack: cycle },
+        ),
+        ["$extends"],
+        { $extends },
+      );
+    }
+
+    const baseAst = parseTemplate(partialTemplates[node.name], functions, [
+      ...stack,
+      node.name,
+    ]);
+    if (baseAst.type === NodeType.ERROR) {
+      return baseAst;
+    }
+    const blockNames = collectBlockNames(baseAst);
+    for (const name of Object.keys(blocks)) {
+      if (!blockNames.includes(name)) {
+        const suggestion = findClosestName(name, blockNames);
+        throw withTemplateLocation(
+          new JemplParseError(
+            `Block '${name}' is not defined in '${node.name}'${formatSuggestion(suggestion)}`,
+            ErrorCode.BLOCK_UNDEFINED,
+            { block: name, extends: node.name, suggestion },
+          ),
+          ["$blocks", name],
+          { [name]: $blocks[name] },
+        );
+      }
+    }
+    return resolveExtends(node, baseAst);
+  } catch (error) {
+    return recoverParseError(error, [], template);
+  }
+};
+
+/**
+ * Returns the type a parsed value always renders to, or undefined when it
+ * depends on the data
+ * @param {Object} node - AST node
+ * @returns {string|undefined} Param type
+ */
+const getStaticParamType = (node) => {
+  if (node.type === NodeType.LITERAL) {
+    return getParamType(node.value);
+  }
+  if (node.type === NodeType.ARRAY) {
+    return "array";
+  }
+  if (node.type === NodeType.OBJECT && !node.whenCondition) {
+    return "object";
+  }
+  return undefined;
+};
+
+/**
+ * Parses the declaration of one partial parameter
+ * @param {string} name - Param name
+ * @param {any} declaration - Declaration like `{ type: string, required: true }`
+ * @param {Object} functions - Custom functions object
+ * @returns {{name: string, type: string|null, required: boolean, default: Object|null}}
+ */
+const parseParamDeclaration = (name, declaration, functions) => {
+  const path = ["$params", name];
+  const fail = (message, key, details) => {
+    throw withTemplateLocation(
+      new JemplParseError(message, ErrorCode.PARAMS_INVALID, {
+        param: name,
+        ...details,
+      }),
+      key === undefined ? path : [...path, key],
+      key === undefined ? { [name]: declaration } : { [key]: declaration[key] },
+    );
+  };
+
+  if (!isPlainObject(declaration)) {
+    fail(
+      `Param '${name}' must be declared with an object, like '${name}: { type: string }'`,
+      undefined,
+      { gotType: getParamType(declaration) },
+    );
+  }
+  const { type, required, default: defaultValue, ...rest } = declaration;
+  const extraKeys = getOwnKeys(rest);
+  if (extraKeys.length > 0) {
+    fail(
+      `Unexpected key '${extraKeys[0]}' in the declaration of param '${name}' - use 'type', 'required' and 'default'`,
+      extraKeys[0],
+      { key: extraKeys[0] },
+    );
+  }
+  if (type !== undefined && !PARAM_TYPES.includes(type)) {
+    const suggestion = findClosestName(String(type), PARAM_TYPES);
+    fail(
+      `Unknown type '${type}' for param '${name}' - use ${PARAM_TYPES.join(", ")}${formatSuggestion(suggestion)}`,
+      "type",
+      { type, suggestion },
+    );
+  }
+  if (required !== undefined && typeof required !== "boolean") {
+    fail(`'required' of param '${name}' must be true or false`, "required", {
+      gotType: getParamType(required),
+    });
+  }
+  if (required && defaultValue !== undefined) {
+    fail(
+      `Param '${name}' cannot be required and have a default`,
+      "default",
+      {},
+    );
+  }
+
+  const defaultNode =
+    defaultValue === undefined
+      ? null
+      : parseValue(defaultValue, functions, [...path, "default"]);
+  const defaultType = defaultNode && getStaticParamType(defaultNode);
+  if (type !== undefined && defaultType && defaultType !== type) {
+    fail(
+      `Default of param '${name}' must be ${formatParamType(type)} (got: ${defaultType})`,
+      "default",
+      { type, gotType: defaultType },
+    );
+  }
+
+  return {
+    name,
+    type: type ?? null,
+    required: required === true,
+    default: defaultNode,
+  };
+};
+
+/**
+ * Parses a partial template with `$params` at its root: the parameters the
+ * partial expects, checked and defaulted before the rest of it renders
+ * @param {Object} template - Template with a $params key
+ * @param {Object} functions - Custom functions object
+ * @param {Array<string>} stack - Base templates being resolved, to detect cycles
+ * @returns {Object} Params AST node
+ */
+const parseParams = (template, functions, stack) => {
+  const { $params, ...rest } = template;
+  try {
+    if (!isPlainObject($params)) {
+      throw withTemplateLocation(
+        new JemplParseError(
+          "$params must be an object of param names and declarations, like '$params: { title: { type: string, required: true } }'",
+          ErrorCode.PARAMS_INVALID,
+          { gotType: getParamType($params) },
+        ),
+        ["$params"],
+        { $params },
+      );
+    }
+
+    const params = [];
+    for (const [name, declaration] of Object.entries($params)) {
+      params.push(parseParamDeclaration(name, declaration, functions));
+    }
+    const node = {
+      type: NodeType.PARAMS,
+      params,
+      body: parseTemplate(rest, functions, stack),
+    };
+    recordTemplateLocation(node, ["$params"], $params, "$params");
+    return node;
+  } catch (error) {
+    return recoverParseError(error, [], template);
+  }
+};
+
+/**
+ * Checks the literal values a partial call passes against the `$params` of
+ * the partial, when its template is known at parse time. Values that depend
+ * on the data, and required params, are checked at render time.
+ * @param {Object} node - Partial AST node with a literal name
+ * @throws {JemplParseError} When a literal value has the wrong type
+ */
+const checkPartialCallParams = (node) => {
+  const template = Object.hasOwn(partialTemplates, node.name)
+    ? partialTemplates[node.name]
+    : undefined;
+  if (!isPlainObject(template) || !isPlainObject(template.$params)) {
+    return;
+  }
+
+  const values = new Map();
+  if (node.data && node.data.type === NodeType.OBJECT) {
+    for (const prop of node.data.properties) {
+      if (!prop.parsedKey) {
+        values.set(prop.key, prop.value);
+      }
+    }
+  }
+  for (const [name, declaration] of Object.entries(template.$params)) {
+    if (
+      !values.has(name) ||
+      !isPlainObject(declaration) ||
+      !PARAM_TYPES.includes(declaration.type)
+    ) {
+      continue;
+    }
+    const gotType = getStaticParamType(values.get(name));
+    if (gotType !== undefined && gotType !== declaration.type) {
+      throw new JemplParseError(
+        `Param '${name}' of partial '${node.name}' must be ${formatParamType(declaration.type)} (got: ${gotType})`,
+        ErrorCode.PARAM_INVALID_TYPE,
+        {
+          partial: node.name,
+          param: name,
+          expected: declaration.type,
+          gotType,
+        },
+      );
+    }
+  }
+};
+
 /**
  * Parses an object template
  * @param {Object} obj - The object to parse
  * @param {Object} functions - Custom functions object
+ * @param {Array<string|number>} [path=[]] - Template path of the object
  * @returns {Object} Object AST node
  */
-export const parseObject = (obj, functions) => {
+export const parseObject = (obj, functions, path = []) => {
   const properties = [];
   let hasDynamicContent = false;
   let whenCondition = null;
 
+  // Bindings wrap the whole object, including $when and $partial
+  if (obj.$let !== undefined || obj.$with !== undefined) {
+    return parseLet(obj, functions, path);
+  }
+
+  if (obj.$slot !== undefined) {
+    return parseSlot(obj, functions, path);
+  }
+
+  if (obj.$block !== undefined) {
+    return parseBlock(obj, functions, path);
+  }
+
   const entries = Object.entries(obj);
   let i = 0;
 
@@ -178,15 +977,31 @@ export const parseObject = (obj, functions) => {
   if (obj.$partial !== undefined) {
     // Validate partial name
     if (typeof obj.$partial !== "string") {
-      throw new JemplParseError("$partial value must be a string");
+      throw new JemplParseError(
+        "$partial value must be a string",
+        ErrorCode.PARTIAL_INVALID_NAME,
+        { gotType: obj.$partial === null ? "null" : typeof obj.$partial },
+      );
     }
     if (obj.$partial.trim() === "") {
-      throw new JemplParseError("$partial value cannot be an empty string");
+      throw new JemplParseError(
+        "$partial value cannot be an empty string",
+        ErrorCode.PARTIAL_INVALID_NAME,
+        { partial: obj.$partial },
+      );
     }
 
     // Check for conflicting directives
     // Note: $when is allowed with $partial since $when controls object inclusion
-    const conflictingDirectives = ["$if", "$elif", "$else", "$for"];
+    const conflictingDirectives = [
+      "$if",
+      "$elif",
+      "$else",
+      "$for",
+      "$switch",
+      "$case",
+      "$default",
+    ];
     const conflicts = [];
     for (const [key] of entries) {
       // Check for any key that starts with these directives
@@ -205,12 +1020,16 @@ export const parseObject = (obj, functions) => {
       throw new JemplParseError(
         `Cannot use $partial with ${conflicts.join(", ")} at the same level. ` +
           `Wrap $partial in a parent object if you need conditionals.`,
+        ErrorCode.PARTIAL_CONFLICT,
+        { partial: obj.$partial, directives: conflicts },
       );
     }
 
     // Extract and process sibling properties as data
-    // Note: $when is special - it controls whether the partial is rendered
-    const { $partial, $when, ...rawData } = obj;
+    // Note: $when is special - it controls whether the partial is rendered,
+    // $slots holds template content for the partial's $slot placeholders and
+    // $fallback names the partial to render when $partial is not registered
+    const { $partial, $when, $slots, $fallback, ...rawData } = obj;
 
     // Handle escaped $ properties
     const data = {};
@@ -231,7 +1050,7 @@ export const parseObject = (obj, functions) => {
     // Parse the data object if it exists
     let parsedData = null;
     if (hasData) {
-      parsedData = parseValue(data, functions);
+      parsedData = parseValue(data, functions, path);
       // For partials, we need to check if the data contains any variables or interpolations
       // If it does, we should mark it as non-fast since it needs runtime evaluation
       if (parsedData.type === NodeType.OBJECT) {
@@ -242,6 +1061,10 @@ export const parseObject = (obj, functions) => {
             prop.value.type === NodeType.INTERPOLATION ||
             prop.value.type === NodeType.FUNCTION ||
             prop.value.type === NodeType.CONDITIONAL ||
+            prop.value.type === NodeType.SWITCH ||
+            prop.value.type === NodeType.LET ||
+            prop.value.type === NodeType.SLOT ||
+            prop.value.type === NodeType.BLOCK ||
             (prop.value.type === NodeType.OBJECT && !prop.value.fast) ||
             (prop.value.type === NodeType.ARRAY && !prop.value.fast)
           ) {
@@ -261,9 +1084,42 @@ export const parseObject = (obj, functions) => {
       data: parsedData,
     };
 
+    // Names with variables or expressions are resolved at render time
+    const nameNode = parseStringValue($partial, functions);
+    if (nameNode.type !== NodeType.LITERAL) {
+      result.nameExpression = nameNode;
+      recordNodeLocation(nameNode, [...path, "$partial"], $partial, "$partial");
+    } else {
+      checkPartialCallParams(result);
+    }
+
+    if ($fallback !== undefined) {
+      if (typeof $fallback !== "string" || $fallback.trim() === "") {
+        throw new JemplParseError(
+          "$fallback value must be a non-empty string naming a partial",
+          ErrorCode.PARTIAL_INVALID_NAME,
+          {
+            partial: $partial,
+            gotType: $fallback === null ? "null" : typeof $fallback,
+          },
+        );
+      }
+      result.fallback = $fallback;
+    }
+
+    if ($slots !== undefined) {
+      result.slots = parseSlotContent($slots, functions, [...path, "$slots"]);
+    }
+
     // Handle $when condition if present
     if ($when !== undefined) {
-      result.whenCondition = parseWhenCondition($when, functions);
+      const whenPath = [...path, "$when"];
+      try {
+        result.whenCondition = parseWhenCondition($when, functions);
+      } catch (error) {
+        result.whenCondition = recoverParseError(error, whenPath, { $when });
+      }
+      recordNodeLocation(result.whenCondition, whenPath, $when, "$when");
     }
 
     return result;
@@ -275,17 +1131,30 @@ export const parseObject = (obj, functions) => {
       if (whenCondition !== null) {
         throw new JemplParseError(
           "Multiple '$when' directives on the same object are not allowed",
+          ErrorCode.WHEN_DUPLICATE,
         );
       }
       // Allow boolean and string values
-      if (value === undefined || value === null) {
-        throw new JemplParseError("Missing condition expression after '$when'");
+      const whenPath = [...path, "$when"];
+      try {
+        if (value === undefined || value === null) {
+          throw new JemplParseError(
+            "Missing condition expression after '$when'",
+            ErrorCode.CONDITION_MISSING,
+            { directive: "$when" },
+          );
+        }
+        whenCondition = parseWhenCondition(value, functions);
+      } catch (error) {
+        whenCondition = recoverParseError(error, whenPath, { $when: value });
       }
-      whenCondition = parseWhenCondition(value, functions);
+      recordNodeLocation(whenCondition, whenPath, value, "$when");
       hasDynamicContent = true;
     } else if (key.startsWith("$when#") || key.startsWith("$when ")) {
       throw new JemplParseError(
         "'$when' does not support ID syntax or inline conditions - use '$when' as a property",
+        ErrorCode.WHEN_INVALID_SYNTAX,
+        { key },
       );
     }
   }
@@ -299,66 +1168,179 @@ export const parseObject = (obj, functions) => {
       continue;
     }
 
-    // Check if $each is used as object property (not allowed)
-    if (key === "$each") {
-      throw new JemplParseError("$each can only be used inside arrays");
-    }
-
-    // Check if this is a conditional structure
-    if (
-      key.startsWith("$if ") ||
-      key.match(/^\$if#\w+\s/) ||
-      key.match(/^\$if\s+\w+.*:$/)
-    ) {
-      const conditional = parseConditional(entries, i, functions);
-      properties.push({
-        key,
-        value: conditional.node,
-      });
-      hasDynamicContent = true;
-      i = conditional.nextIndex;
-      // Check if this is a loop structure
-    } else if (/^\$for(?::\w+)?\s/.test(key)) {
-      // $for loops are not allowed as object properties
-      const modifier = key.match(/^\$for(?::(\w+))?\s/)?.[1] || "";
-      const modifierPart = modifier ? `:${modifier}` : "";
-      throw new JemplParseError(
-        `$for loops must be inside arrays - use '- $for${modifierPart} item in items:' instead of '$for${modifierPart} item in items:'. ` +
-          `For cleaner object generation syntax, consider using $each.`,
-      );
-    } else if (key.startsWith("$elif ") || key.startsWith("$else")) {
-      // Check for orphaned $elif or $else
-      throw new JemplParseError(
-        `'${key.split(" ")[0]}' without matching '$if'`,
-      );
-    } else if (key === "$if" || key === "$if:") {
-      // Check for missing condition expression
-      throw new JemplParseError("Missing condition expression after '$if'");
-    } else {
-      const parsedValue = parseValue(value, functions);
+    try {
+      // Check if $each is used as object property (not allowed)
+      if (key === "$each") {
+        throw new JemplParseError(
+          "$each can only be used inside arrays",
+          ErrorCode.LOOP_OUTSIDE_ARRAY,
+          { directive: "$each" },
+        );
+      }
 
-      // Check if this property has complex dynamic content (conditionals/functions/partials)
+      // Check if this is a conditional structure
       if (
-        parsedValue.type === NodeType.FUNCTION ||
-        parsedValue.type === NodeType.CONDITIONAL ||
-        parsedValue.type === NodeType.PARTIAL ||
-        (parsedValue.type === NodeType.OBJECT && !parsedValue.fast) ||
-        (parsedValue.type === NodeType.ARRAY && !parsedValue.fast)
+        key.startsWith("$if ") ||
+        key.match(/^\$if#\w+\s/) ||
+        key.match(/^\$if\s+\w+.*:$/)
       ) {
+        const conditional = parseConditional(entries, i, functions, path);
+        properties.push({
+          key,
+          value: conditional.node,
+        });
         hasDynamicContent = true;
-      }
+        i = conditional.nextIndex;
+        // Check if this is a loop structure
+      } else if (SWITCH_KEY_REGEX.test(key)) {
+        const switchNode = parseSwitch(entries, i, functions, path);
+        properties.push({
+          key,
+          value: switchNode.node,
+        });
+        hasDynamicContent = true;
+        i = switchNode.nextIndex;
+      } else if (SPREAD_KEY_REGEX.test(key)) {
+        properties.push({
+          key,
+          value: {
+            type: NodeType.SPREAD,
+            value: parseValue(value, functions, [...path, key]),
+          },
+        });
+        hasDynamicContent = true;
+        i++;
+      } else if (/^\$spread[\s:]/.test(key)) {
+        throw new JemplParseError(
+          `Invalid $spread syntax: '${key}' - put the object in the value, like '$spread: "\${attrs}"', and use '$spread#2' for more than one`,
+          ErrorCode.SPREAD_INVALID_SYNTAX,
+          { key },
+        );
+      } else if (ENTRIES_KEY_REGEX.test(key)) {
+        properties.push({
+          key,
+          value: {
+            type: NodeType.ENTRIES,
+            value: parseValue(value, functions, [...path, key]),
+          },
+        });
+        hasDynamicContent = true;
+        i++;
+      } else if (/^\$entries[\s:]/.test(key)) {
+        throw new JemplParseError(
+          `Invalid $entries syntax: '${key}' - put the entries in the value, like '$entries: "\${pairs}"', and use '$entries#2' for more than one`,
+          ErrorCode.ENTRIES_INVALID_SYNTAX,
+          { key },
+        );
+      } else if (/^\$for(?::\w+)?\s/.test(key)) {
+        // $for loops are not allowed as object properties
+        const modifier = key.match(/^\$for(?::(\w+))?\s/)?.[1] || "";
+        const modifierPart = modifier ? `:${modifier}` : "";
+        throw new JemplParseError(
+          `$for loops must be inside arrays - use '- $for${modifierPart} item in items:' instead of '$for${modifierPart} item in items:'. ` +
+            `For cleaner object generation syntax, consider using $each.`,
+          ErrorCode.LOOP_OUTSIDE_ARRAY,
+          { directive: "$for", key },
+        );
+      } else if (key.startsWith("$elif ") || key.startsWith("$else")) {
+        // Check for orphaned $elif or $else
+        throw new JemplParseError(
+          `'${key.split(" ")[0]}' without matching '$if'`,
+          ErrorCode.CONDITION_ORPHANED_BRANCH,
+          { directive: key.split(" ")[0], key },
+        );
+      } else if (key === "$slots") {
+        throw new JemplParseError(
+          "'$slots' can only be used next to '$partial'",
+          ErrorCode.SLOT_INVALID,
+          { directive: "$slots" },
+        );
+      } else if (Object.hasOwn(ROOT_DIRECTIVE_CODES, key)) {
+        throw new JemplParseError(
+          `'${key}' can only be used at the root of a template`,
+          ROOT_DIRECTIVE_CODES[key],
+          { directive: key },
+        );
+      } else if (key === "$empty") {
+        throw new JemplParseError(
+          "'$empty' without matching '$for' or '$each' - put it next to the loop key in the same array item",
+          ErrorCode.LOOP_INVALID_SYNTAX,
+          { directive: "$empty" },
+        );
+      } else if (SWITCH_BRANCH_KEY_REGEX.test(key)) {
+        // Check for orphaned $case or $default
+        const directive = key.match(SWITCH_BRANCH_KEY_REGEX)[1];
+        throw new JemplParseError(
+          `'${directive}' without matching '$switch'`,
+          ErrorCode.CONDITION_ORPHANED_BRANCH,
+          { directive, key },
+        );
+      } else if (/^\$switch[\s#:]/.test(key)) {
+        throw new JemplParseError(
+          `Invalid $switch syntax: '${key}' - put the expression in the value, like '$switch: widget.type'`,
+          ErrorCode.CONDITION_INVALID_SYNTAX,
+          { key },
+        );
+      } else if (key === "$if" || key === "$if:") {
+        // Check for missing condition expression
+        throw new JemplParseError(
+          "Missing condition expression after '$if'",
+          ErrorCode.CONDITION_MISSING,
+          { directive: "$if" },
+        );
+      } else {
+        const parsedValue = parseValue(value, functions, [...path, key]);
+
+        // Check if this property has complex dynamic content (conditionals/functions/partials)
+        if (
+          parsedValue.type === NodeType.FUNCTION ||
+          parsedValue.type === NodeType.CONDITIONAL ||
+          parsedValue.type === NodeType.SWITCH ||
+          parsedValue.type === NodeType.PARTIAL ||
+          parsedValue.type === NodeType.SLOT ||
+          parsedValue.type === NodeType.BLOCK ||
+          parsedValue.type === NodeType.LET ||
+          (parsedValue.type === NodeType.OBJECT && !parsedValue.fast) ||
+          (parsedValue.type === NodeType.ARRAY && !parsedValue.fast)
+        ) {
+          hasDynamicContent = true;
+        }
 
-      // Parse the key for potential variables
-      const parsedKey = parseStringValue(key, functions);
+        // Parse the key for potential variables
+        const parsedKey = parseStringValue(key, functions);
 
-      // Only include parsedKey if it's not a simple literal
-      const prop = { key, value: parsedValue };
-      if (parsedKey.type !== NodeType.LITERAL || parsedKey.value !== key) {
-        prop.parsedKey = parsedKey;
-      }
+        // Only include parsedKey if it's not a simple literal
+        const prop = { key, value: parsedValue };
+        if (parsedKey.type !== NodeType.LITERAL || parsedKey.value !== key) {
+          prop.parsedKey = parsedKey;
+        }
 
-      properties.push(prop);
+        properties.push(prop);
+        i++;
+      }
+    } catch (error) {
+      properties.push({
+        key,
+        value: recoverParseError(error, [...path, key], { [key]: value }),
+      });
       i++;
+      // Skip the branches of a failed conditional so they are not reported as orphaned
+      if (key.startsWith("$if")) {
+        while (
+          i < entries.length &&
+          (entries[i][0].startsWith("$elif") ||
+            entries[i][0].startsWith("$else"))
+        ) {
+          i++;
+        }
+      } else if (SWITCH_KEY_REGEX.test(key)) {
+        while (
+          i < entries.length &&
+          SWITCH_BRANCH_KEY_REGEX.test(entries[i][0])
+        ) {
+          i++;
+        }
+      }
     }
   }
 
@@ -380,9 +1362,15 @@ export const parseObject = (obj, functions) => {
  * @param {Array} entries - Object entries array
  * @param {number} startIndex - Starting index of the $if statement
  * @param {Object} functions - Custom functions object
+ * @param {Array<string|number>} [path=[]] - Template path of the parent object
  * @returns {Object} { node: ConditionalNode, nextIndex: number }
  */
-export const parseConditional = (entries, startIndex, functions = {}) => {
+export const parseConditional = (
+  entries,
+  startIndex,
+  functions = {},
+  path = [],
+) => {
   const conditions = [];
   const bodies = [];
   let currentIndex = startIndex;
@@ -399,7 +1387,11 @@ export const parseConditional = (entries, startIndex, functions = {}) => {
       conditionId = match[1];
       conditionExpr = match[2];
     } else {
-      throw new JemplParseError(`Invalid conditional syntax: ${ifKey}`);
+      throw new JemplParseError(
+        `Invalid conditional syntax: ${ifKey}`,
+        ErrorCode.CONDITION_INVALID_SYNTAX,
+        { key: ifKey },
+      );
     }
   } else {
     // Regular $if: "$if age > 18" -> expr="age > 18"
@@ -411,12 +1403,18 @@ export const parseConditional = (entries, startIndex, functions = {}) => {
     }
   }
 
-  // Validate condition expression
-  validateConditionExpression(conditionExpr);
-
-  const ifCondition = parseConditionExpression(conditionExpr, functions);
+  const ifPath = [...path, ifKey];
+  let ifCondition;
+  try {
+    // Validate condition expression
+    validateConditionExpression(conditionExpr);
+    ifCondition = parseConditionExpression(conditionExpr, functions);
+  } catch (error) {
+    ifCondition = recoverParseError(error, ifPath, { [ifKey]: ifValue });
+  }
+  recordNodeLocation(ifCondition, ifPath, ifValue, ifKey);
   conditions.push(ifCondition);
-  bodies.push(parseValue(ifValue, functions));
+  bodies.push(parseValue(ifValue, functions, ifPath));
   currentIndex++;
 
   // Parse $elif chains (with matching ID if present)
@@ -454,38 +1452,222 @@ export const parseConditional = (entries, startIndex, functions = {}) => {
         isMatching = true;
         elifConditionExpr = null; // else branch
       }
-    }
+    }
+
+    if (isMatching) {
+      const branchPath = [...path, key];
+      if (elifConditionExpr === null) {
+        conditions.push(null); // null represents else branch
+      } else {
+        let elifCondition;
+        try {
+          // Validate elif condition expression
+          validateConditionExpression(elifConditionExpr);
+          elifCondition = parseConditionExpression(
+            elifConditionExpr,
+            functions,
+          );
+        } catch (error) {
+          elifCondition = recoverParseError(error, branchPath, {
+            [key]: value,
+          });
+        }
+        recordNodeLocation(elifCondition, branchPath, value, key);
+        conditions.push(elifCondition);
+      }
+      bodies.push(parseValue(value, functions, branchPath));
+      currentIndex++;
+
+      // Break after else
+      if (elifConditionExpr === null) {
+        break;
+      }
+    } else {
+      break;
+    }
+  }
+
+  return {
+    node: {
+      type: NodeType.CONDITIONAL,
+      conditions,
+      bodies,
+      id: conditionId,
+    },
+    nextIndex: currentIndex,
+  };
+};
+
+/**
+ * Splits the values of a `$case` key on commas outside quotes:
+ * "table, grid" -> ["table", "grid"]
+ * @param {string} text - Text after '$case '
+ * @returns {Array<string>} Trimmed value texts
+ */
+const splitCaseValues = (text) => {
+  const parts = [];
+  let current = "";
+  let quote = null;
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+      current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === ",") {
+      parts.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+
+  return parts;
+};
+
+/**
+ * Converts a `$case` value text to the value it matches. Quoted text is a
+ * string, numbers, true, false and null are literals, and bare words are
+ * strings: `$case chart` matches "chart".
+ * @param {string} text - Trimmed value text
+ * @param {string} key - The `$case` key, for error details
+ * @returns {string|number|boolean|null}
+ */
+const parseCaseValue = (text, key) => {
+  if (text === "") {
+    throw new JemplParseError(
+      `Empty value in '${key}' - list case values like '$case table, grid:'`,
+      ErrorCode.SWITCH_INVALID_CASE,
+      { key },
+    );
+  }
+
+  const atom = parseAtomicExpression(text);
+  if (atom.type === NodeType.VARIABLE) {
+    return text;
+  }
+  if (atom.value !== null && typeof atom.value === "object") {
+    throw new JemplParseError(
+      `Invalid case value '${text}' in '${key}' - cases match strings, numbers, booleans or null`,
+      ErrorCode.SWITCH_INVALID_CASE,
+      { key, value: text },
+    );
+  }
+  return atom.value;
+};
+
+/**
+ * Parses a switch structure ($switch, $case, $default). The `$switch` value
+ * is the expression; the `$case` and `$default` keys that follow it are the
+ * branches.
+ * @param {Array} entries - Object entries array
+ * @param {number} startIndex - Index of the $switch entry
+ * @param {Object} functions - Custom functions object
+ * @param {Array<string|number>} [path=[]] - Template path of the parent object
+ * @returns {Object} { node: SwitchNode, nextIndex: number }
+ */
+export const parseSwitch = (entries, startIndex, functions = {}, path = []) => {
+  const [switchKey, switchValue] = entries[startIndex];
+  const switchId = switchKey.match(SWITCH_KEY_REGEX)[1] || null;
+  const casePrefix = switchId ? `$case#${switchId} ` : "$case ";
+  const defaultKey = switchId ? `$default#${switchId}` : "$default";
+
+  if (typeof switchValue !== "string" || switchValue.trim() === "") {
+    throw new JemplParseError(
+      `Missing expression after '${switchKey}' - use '${switchKey}: widget.type'`,
+      ErrorCode.CONDITION_MISSING,
+      { directive: "$switch" },
+    );
+  }
+
+  const switchPath = [...path, switchKey];
+  let expression;
+  try {
+    validateConditionExpression(switchValue);
+    expression = parseConditionExpression(switchValue.trim(), functions);
+  } catch (error) {
+    expression = recoverParseError(error, switchPath, {
+      [switchKey]: switchValue,
+    });
+  }
+  recordNodeLocation(expression, switchPath, switchValue, switchKey);
+
+  const cases = [];
+  const bodies = [];
+  const seenValues = new Map();
+  let currentIndex = startIndex + 1;
+
+  while (currentIndex < entries.length) {
+    const [key, value] = entries[currentIndex];
+    const isDefault = key === defaultKey || key === `${defaultKey}:`;
+    const isCase =
+      key.startsWith(casePrefix) ||
+      key === casePrefix.trim() ||
+      key === `${casePrefix.trim()}:`;
+    if (!isDefault && !isCase) {
+      break;
+    }
+
+    const branchPath = [...path, key];
+    try {
+      if (cases.length > 0 && cases[cases.length - 1] === null) {
+        throw new JemplParseError(
+          `'${key}' after '${defaultKey}' - '${defaultKey}' must be the last branch of '${switchKey}'`,
+          ErrorCode.SWITCH_INVALID_CASE,
+          { key },
+        );
+      }
 
-    if (isMatching) {
-      if (elifConditionExpr === null) {
-        conditions.push(null); // null represents else branch
+      if (isDefault) {
+        cases.push(null); // null represents the default branch
       } else {
-        // Validate elif condition expression
-        validateConditionExpression(elifConditionExpr);
-        const elifCondition = parseConditionExpression(
-          elifConditionExpr,
-          functions,
+        let valuesText = key.substring(casePrefix.trim().length).trim();
+        // Handle YAML syntax with trailing colon
+        if (valuesText.endsWith(":")) {
+          valuesText = valuesText.slice(0, -1).trim();
+        }
+        const values = splitCaseValues(valuesText).map((text) =>
+          parseCaseValue(text, key),
         );
-        conditions.push(elifCondition);
-      }
-      bodies.push(parseValue(value, functions));
-      currentIndex++;
-
-      // Break after else
-      if (elifConditionExpr === null) {
-        break;
+        for (const caseValue of values) {
+          if (seenValues.has(caseValue)) {
+            throw new JemplParseError(
+              `Duplicate case ${JSON.stringify(caseValue)} in '${key}' - already handled by '${seenValues.get(caseValue)}'`,
+              ErrorCode.SWITCH_DUPLICATE_CASE,
+              { key, value: caseValue, firstKey: seenValues.get(caseValue) },
+            );
+          }
+          seenValues.set(caseValue, key);
+        }
+        cases.push(values);
       }
-    } else {
-      break;
+    } catch (error) {
+      // Report branch errors at the branch key rather than at '$switch'
+      throw withTemplateLocation(error, branchPath, { [key]: value });
     }
+
+    bodies.push(parseValue(value, functions, branchPath));
+    currentIndex++;
+  }
+
+  if (cases.length === 0) {
+    throw new JemplParseError(
+      `'${switchKey}' needs at least one '${casePrefix.trim()}' or '${defaultKey}' branch right after it`,
+      ErrorCode.SWITCH_INVALID_CASE,
+      { key: switchKey },
+    );
   }
 
   return {
     node: {
-      type: NodeType.CONDITIONAL,
-      conditions,
+      type: NodeType.SWITCH,
+      expression,
+      cases,
       bodies,
-      id: conditionId,
+      id: switchId,
     },
     nextIndex: currentIndex,
   };
@@ -501,6 +1683,9 @@ const JSON_BINARY_OPERATORS = {
   in: BinaryOp.IN,
   add: BinaryOp.ADD,
   sub: BinaryOp.SUBTRACT,
+  mul: BinaryOp.MULTIPLY,
+  div: BinaryOp.DIVIDE,
+  mod: BinaryOp.MODULO,
 };
 
 const JSON_LOGICAL_OPERATORS = {
@@ -521,12 +1706,16 @@ const parseConditionJsonOperandList = (operands, operator, path) => {
   if (!Array.isArray(operands)) {
     throw new JemplParseError(
       `Condition JSON operator '${operator}' at '${formatConditionJsonPath(path)}' requires an array`,
+      ErrorCode.CONDITION_JSON_INVALID,
+      { path: formatConditionJsonPath(path), operator },
     );
   }
 
   if (operands.length !== 2) {
     throw new JemplParseError(
       `Condition JSON operator '${operator}' at '${formatConditionJsonPath(path)}' requires exactly 2 operands`,
+      ErrorCode.CONDITION_JSON_INVALID,
+      { path: formatConditionJsonPath(path), operator },
     );
   }
 
@@ -543,12 +1732,16 @@ const parseConditionJsonLogical = (
   if (!Array.isArray(conditions)) {
     throw new JemplParseError(
       `Condition JSON operator '${operator}' at '${formatConditionJsonPath(path)}' requires an array`,
+      ErrorCode.CONDITION_JSON_INVALID,
+      { path: formatConditionJsonPath(path), operator },
     );
   }
 
   if (conditions.length === 0) {
     throw new JemplParseError(
       `Condition JSON operator '${operator}' at '${formatConditionJsonPath(path)}' requires at least 1 condition`,
+      ErrorCode.CONDITION_JSON_INVALID,
+      { path: formatConditionJsonPath(path), operator },
     );
   }
 
@@ -583,24 +1776,32 @@ const parseConditionJsonFunction = (condition, functions, path) => {
   } else {
     throw new JemplParseError(
       `Condition JSON call at '${formatConditionJsonPath(path)}' requires a function name`,
+      ErrorCode.CONDITION_JSON_INVALID,
+      { path: formatConditionJsonPath(path) },
     );
   }
 
   if (typeof name !== "string" || name.trim() === "") {
     throw new JemplParseError(
       `Condition JSON call at '${formatConditionJsonPath(path)}' requires a non-empty function name`,
+      ErrorCode.CONDITION_JSON_INVALID,
+      { path: formatConditionJsonPath(path) },
     );
   }
 
   if (!/^\w+$/.test(name)) {
     throw new JemplParseError(
       `Invalid condition JSON function name '${name}' at '${formatConditionJsonPath(path)}'`,
+      ErrorCode.CONDITION_JSON_INVALID,
+      { path: formatConditionJsonPath(path), name },
     );
   }
 
   if (!Array.isArray(rawArgs)) {
     throw new JemplParseError(
       `Condition JSON call '${name}' at '${formatConditionJsonPath(path)}' requires args to be an array`,
+      ErrorCode.CONDITION_JSON_INVALID,
+      { path: formatConditionJsonPath(path), name },
     );
   }
 
@@ -643,12 +1844,16 @@ export const parseConditionJson = (
   if (Array.isArray(condition)) {
     throw new JemplParseError(
       `Condition JSON array at '${formatConditionJsonPath(path)}' must be wrapped in an operator or { literal: [...] }`,
+      ErrorCode.CONDITION_JSON_INVALID,
+      { path: formatConditionJsonPath(path) },
     );
   }
 
   if (!isPlainObject(condition)) {
     throw new JemplParseError(
       `Invalid condition JSON value at '${formatConditionJsonPath(path)}'`,
+      ErrorCode.CONDITION_JSON_INVALID,
+      { path: formatConditionJsonPath(path) },
     );
   }
 
@@ -656,6 +1861,8 @@ export const parseConditionJson = (
   if (keys.length === 0) {
     throw new JemplParseError(
       `Condition JSON object at '${formatConditionJsonPath(path)}' must contain an operator`,
+      ErrorCode.CONDITION_JSON_INVALID,
+      { path: formatConditionJsonPath(path) },
     );
   }
 
@@ -663,12 +1870,16 @@ export const parseConditionJson = (
   if (operatorKeys.length === 0) {
     throw new JemplParseError(
       `Unknown condition JSON operator '${keys[0]}' at '${formatConditionJsonPath(path)}'`,
+      ErrorCode.CONDITION_JSON_INVALID,
+      { path: formatConditionJsonPath(path), operator: keys[0] },
     );
   }
 
   if (operatorKeys.length > 1) {
     throw new JemplParseError(
       `Condition JSON at '${formatConditionJsonPath(path)}' must contain exactly one operator`,
+      ErrorCode.CONDITION_JSON_INVALID,
+      { path: formatConditionJsonPath(path) },
     );
   }
 
@@ -679,6 +1890,8 @@ export const parseConditionJson = (
     if (typeof condition.var !== "string" || condition.var.trim() === "") {
       throw new JemplParseError(
         `Condition JSON var at '${formatConditionJsonPath(path)}' requires a non-empty path`,
+        ErrorCode.CONDITION_JSON_INVALID,
+        { path: formatConditionJsonPath(path) },
       );
     }
     return {
@@ -736,17 +1949,27 @@ export const parseConditionJson = (
 
   throw new JemplParseError(
     `Unknown condition JSON operator '${operator}' at '${formatConditionJsonPath(path)}'`,
+    ErrorCode.CONDITION_JSON_INVALID,
+    { path: formatConditionJsonPath(path), operator },
   );
 };
 
 export const parseWhenCondition = (value, functions = {}) => {
   if (value === undefined || value === null) {
-    throw new JemplParseError("Missing condition expression after '$when'");
+    throw new JemplParseError(
+      "Missing condition expression after '$when'",
+      ErrorCode.CONDITION_MISSING,
+      { directive: "$when" },
+    );
   }
 
   if (typeof value === "string") {
     if (value.trim() === "") {
-      throw new JemplParseError("Empty condition expression after '$when'");
+      throw new JemplParseError(
+        "Empty condition expression after '$when'",
+        ErrorCode.CONDITION_MISSING,
+        { directive: "$when" },
+      );
     }
     return parseConditionExpression(value, functions);
   }
@@ -765,6 +1988,33 @@ export const parseWhenCondition = (value, functions = {}) => {
   };
 };
 
+/**
+ * Returns the inside of an expression wrapped in one balanced pair of
+ * parentheses, like `(a + b)` but not `(a) + (b)`
+ * @param {string} expr - The trimmed expression
+ * @returns {string|null} The inner expression, or null when not wrapped
+ */
+const unwrapParentheses = (expr) => {
+  if (!expr.startsWith("(") || !expr.endsWith(")")) {
+    return null;
+  }
+
+  // Check if removing outer parentheses leaves a valid expression
+  const inner = expr.slice(1, -1);
+  let depth = 0;
+
+  for (let i = 0; i < inner.length; i++) {
+    if (inner[i] === "(") depth++;
+    else if (inner[i] === ")") depth--;
+
+    if (depth < 0) {
+      return null;
+    }
+  }
+
+  return depth === 0 ? inner : null;
+};
+
 /**
  * Parses a condition expression into an AST node
  * @param {string} expr - The condition expression
@@ -774,168 +2024,240 @@ export const parseConditionExpression = (expr, functions = {}) => {
   expr = expr.trim();
 
   // Handle parentheses first - but only if they are balanced
-  if (expr.startsWith("(") && expr.endsWith(")")) {
-    // Check if removing outer parentheses leaves a valid expression
-    const inner = expr.slice(1, -1);
-    let depth = 0;
-    let valid = true;
-
-    for (let i = 0; i < inner.length; i++) {
-      if (inner[i] === "(") depth++;
-      else if (inner[i] === ")") depth--;
-
-      if (depth < 0) {
-        valid = false;
-        break;
-      }
-    }
-
-    if (valid && depth === 0) {
-      return parseConditionExpression(inner, functions);
-    }
+  const inner = unwrapParentheses(expr);
+  if (inner !== null) {
+    return parseConditionExpression(inner, functions);
   }
 
-  // Handle logical OR (||) - lowest precedence
-  const orMatch = findOperatorOutsideParens(expr, "||");
-  if (orMatch !== -1) {
+  // Handle ternary (a ? b : c) - lowest precedence, right-associative
+  const ternary = findTernaryOperator(expr);
+  if (ternary !== null) {
+    if (ternary.colon === -1) {
+      throw new JemplParseError(
+        `Incomplete ternary expression - missing ':' (got: '${expr}')`,
+        ErrorCode.CONDITION_INCOMPLETE,
+        { expression: expr, operator: "?" },
+      );
+    }
     return {
-      type: NodeType.BINARY,
-      op: BinaryOp.OR,
-      left: parseConditionExpression(
-        expr.substring(0, orMatch).trim(),
-        functions,
-      ),
-      right: parseConditionExpression(
-        expr.substring(orMatch + 2).trim(),
+      type: NodeType.TERNARY,
+      condition: parseConditionExpression(
+        expr.substring(0, ternary.question).trim(),
         functions,
       ),
-    };
-  }
-
-  // Handle logical AND (&&)
-  const andMatch = findOperatorOutsideParens(expr, "&&");
-  if (andMatch !== -1) {
-    return {
-      type: NodeType.BINARY,
-      op: BinaryOp.AND,
-      left: parseConditionExpression(
-        expr.substring(0, andMatch).trim(),
+      consequent: parseConditionExpression(
+        expr.substring(ternary.question + 1, ternary.colon).trim(),
         functions,
       ),
-      right: parseConditionExpression(
-        expr.substring(andMatch + 2).trim(),
+      alternate: parseConditionExpression(
+        expr.substring(ternary.colon + 1).trim(),
         functions,
       ),
     };
   }
 
-  // Handle comparison operators
-  const compOps = [
-    { op: ">=", type: BinaryOp.GTE },
-    { op: "<=", type: BinaryOp.LTE },
-    { op: "==", type: BinaryOp.EQ },
-    { op: "!=", type: BinaryOp.NEQ },
-    { op: ">", type: BinaryOp.GT },
-    { op: "<", type: BinaryOp.LT },
-    { op: " in ", type: BinaryOp.IN },
-  ];
-
-  for (const { op, type } of compOps) {
-    const opMatch = findOperatorOutsideParens(expr, op);
-    if (opMatch !== -1) {
-      return {
-        type: NodeType.BINARY,
-        op: type,
-        left: parseConditionExpression(
-          expr.substring(0, opMatch).trim(),
-          functions,
-        ),
-        right: parseConditionExpression(
-          expr.substring(opMatch + op.length).trim(),
-          functions,
-        ),
-      };
-    }
+  const { operands, operators } = splitExpression(expr);
+  if (operators.length === 0) {
+    return parseExpressionOperand(expr, functions);
+  }
+
+  return buildExpressionTree(operands, operators, functions);
+};
+
+/**
+ * Binary operators of the expression grammar with their precedence (higher
+ * binds tighter). Longer tokens come first so `>=` wins over `>`. Word and
+ * arithmetic operators require surrounding spaces, which keeps hyphenated
+ * paths like `user-name` intact.
+ */
+const EXPRESSION_OPERATORS = [
+  { token: "??", op: BinaryOp.NULLISH, precedence: 1 },
+  { token: "||", op: BinaryOp.OR, precedence: 2 },
+  { token: "&&", op: BinaryOp.AND, precedence: 3 },
+  { token: ">=", op: BinaryOp.GTE, precedence: 4 },
+  { token: "<=", op: BinaryOp.LTE, precedence: 4 },
+  { token: "==", op: BinaryOp.EQ, precedence: 4 },
+  { token: "!=", op: BinaryOp.NEQ, precedence: 4 },
+  { token: ">", op: BinaryOp.GT, precedence: 4 },
+  { token: "<", op: BinaryOp.LT, precedence: 4 },
+  { token: " in ", op: BinaryOp.IN, precedence: 4 },
+  { token: " + ", op: BinaryOp.ADD, precedence: 5 },
+  { token: " - ", op: BinaryOp.SUBTRACT, precedence: 5 },
+  { token: " * ", op: BinaryOp.MULTIPLY, precedence: 6 },
+  { token: " / ", op: BinaryOp.DIVIDE, precedence: 6 },
+  { token: " % ", op: BinaryOp.MODULO, precedence: 6 },
+];
+
+const OPERATOR_START_CHARS = "?|&><=! ";
+
+/**
+ * Returns the binary operator starting at the given index, if any
+ * @param {string} expr - The expression
+ * @param {number} index - Index to check
+ * @returns {Object|null} Entry of EXPRESSION_OPERATORS
+ */
+const matchOperatorAt = (expr, index) => {
+  if (!OPERATOR_START_CHARS.includes(expr[index])) {
+    return null;
   }
 
-  // Handle arithmetic operators (+ and - only)
-  // They have the same precedence and should be evaluated left-to-right
-  // So we need to find the rightmost occurrence of either + or -
-  let lastArithMatch = -1;
-  let lastArithOp = null;
+  for (const operator of EXPRESSION_OPERATORS) {
+    if (expr.startsWith(operator.token, index)) {
+      return operator;
+    }
+  }
 
-  const arithmeticOps = [
-    { op: " + ", type: BinaryOp.ADD },
-    { op: " - ", type: BinaryOp.SUBTRACT },
-  ];
+  return null;
+};
 
-  for (const { op, type } of arithmeticOps) {
-    let pos = 0;
-    while (pos < expr.length) {
-      const match = findOperatorOutsideParens(expr.substring(pos), op);
-      if (match === -1) break;
+/**
+ * Splits an expression at its top-level binary operators, skipping
+ * parentheses and quoted strings
+ * @param {string} expr - The expression to split
+ * @returns {{operands: string[], operators: Object[]}} Operands in order, with
+ *   operators[i] sitting between operands[i] and operands[i + 1]
+ */
+const splitExpression = (expr) => {
+  const operands = [];
+  const operators = [];
+  let parenDepth = 0;
+  let quoteChar = null;
+  let start = 0;
+  let i = 0;
 
-      const actualPos = pos + match;
-      if (actualPos > lastArithMatch) {
-        lastArithMatch = actualPos;
-        lastArithOp = { op, type };
+  while (i < expr.length) {
+    const char = expr[i];
+    if (quoteChar !== null) {
+      if (char === quoteChar && expr[i - 1] !== "\\") {
+        quoteChar = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quoteChar = char;
+    } else if (char === "(") {
+      parenDepth++;
+    } else if (char === ")") {
+      parenDepth--;
+    } else if (parenDepth === 0) {
+      const operator = matchOperatorAt(expr, i);
+      if (operator !== null) {
+        operands.push(expr.substring(start, i).trim());
+        operators.push(operator);
+        i += operator.token.length;
+        start = i;
+        continue;
       }
-      pos = actualPos + op.length;
     }
+    i++;
   }
 
-  if (lastArithMatch !== -1 && lastArithOp) {
-    return {
-      type: NodeType.BINARY,
-      op: lastArithOp.type,
-      left: parseConditionExpression(
-        expr.substring(0, lastArithMatch).trim(),
-        functions,
-      ),
-      right: parseConditionExpression(
-        expr.substring(lastArithMatch + lastArithOp.op.length).trim(),
-        functions,
-      ),
-    };
-  }
+  operands.push(expr.substring(start).trim());
+  return { operands, operators };
+};
 
-  // Check for unsupported arithmetic operators
-  const blockedArithmeticOps = [" * ", " / ", " % "];
-  for (const op of blockedArithmeticOps) {
-    if (findOperatorOutsideParens(expr, op) !== -1) {
-      throw new JemplParseError(
-        `Arithmetic operations are not allowed in conditionals: "${op}"`,
-      );
+/**
+ * Checks whether an expression contains a top-level binary operator or
+ * ternary, or starts with a unary operator or a parenthesized group
+ * @param {string} expr - The trimmed expression
+ * @returns {boolean}
+ */
+export const isOperatorExpression = (expr) =>
+  expr.startsWith("!") ||
+  unwrapParentheses(expr) !== null ||
+  (expr.startsWith("-") && isNaN(Number(expr))) ||
+  findTernaryOperator(expr) !== null ||
+  splitExpression(expr).operators.length > 0;
+
+/**
+ * Builds a left-associative binary tree from split operands using
+ * precedence climbing
+ * @param {string[]} operands - Operand strings
+ * @param {Object[]} operators - Operators between the operands
+ * @param {Object} functions - Custom functions object
+ * @returns {Object} BINARY AST node
+ */
+const buildExpressionTree = (operands, operators, functions) => {
+  let position = 0;
+
+  const parseLevel = (minPrecedence) => {
+    let left = parseExpressionOperand(operands[position], functions);
+
+    while (
+      position < operators.length &&
+      operators[position].precedence >= minPrecedence
+    ) {
+      const { op, precedence } = operators[position];
+      position++;
+      left = {
+        type: NodeType.BINARY,
+        op,
+        left,
+        right: parseLevel(precedence + 1),
+      };
     }
-  }
 
+    return left;
+  };
+
+  return parseLevel(1);
+};
+
+/**
+ * Parses an operand of a binary expression: a unary operation, a
+ * parenthesized group, a literal, a variable or a function call
+ * @param {string} expr - The operand without top-level binary operators
+ * @param {Object} functions - Custom functions object
+ * @returns {Object} AST node
+ */
+const parseExpressionOperand = (expr, functions) => {
   // Handle unary NOT (!)
   if (expr.startsWith("!")) {
     return {
       type: NodeType.UNARY,
       op: UnaryOp.NOT,
-      operand: parseConditionExpression(expr.substring(1).trim(), functions),
+      operand: parseExpressionOperand(expr.substring(1).trim(), functions),
+    };
+  }
+
+  // Handle unary minus, leaving negative number literals to the atomic parser
+  if (expr.startsWith("-") && isNaN(Number(expr))) {
+    return {
+      type: NodeType.UNARY,
+      op: UnaryOp.NEGATE,
+      operand: parseExpressionOperand(expr.substring(1).trim(), functions),
     };
   }
 
+  const inner = unwrapParentheses(expr);
+  if (inner !== null) {
+    return parseConditionExpression(inner, functions);
+  }
+
   // Handle literals and variables (including functions)
   return parseIterableExpression(expr, functions);
 };
 
 /**
- * Finds an operator outside of parentheses
+ * Finds an operator outside of parentheses and quoted strings
  * @param {string} expr - The expression to search
  * @param {string} operator - The operator to find
  * @returns {number} Index of the operator, or -1 if not found
  */
 export const findOperatorOutsideParens = (expr, operator) => {
   let parenDepth = 0;
+  let quoteChar = null;
   let i = 0;
 
   while (i <= expr.length - operator.length) {
-    if (expr[i] === "(") {
+    const char = expr[i];
+    if (quoteChar !== null) {
+      if (char === quoteChar && expr[i - 1] !== "\\") {
+        quoteChar = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quoteChar = char;
+    } else if (char === "(") {
       parenDepth++;
-    } else if (expr[i] === ")") {
+    } else if (char === ")") {
       parenDepth--;
     } else if (
       parenDepth === 0 &&
@@ -949,6 +2271,52 @@ export const findOperatorOutsideParens = (expr, operator) => {
   return -1;
 };
 
+/**
+ * Finds the top-level ternary operator, skipping `??` and nested ternaries
+ * in the consequent
+ * @param {string} expr - The expression to search
+ * @returns {{question: number, colon: number}|null} Indexes of `?` and its matching `:`
+ *   (-1 when the `:` is missing), or null without a ternary
+ */
+const findTernaryOperator = (expr) => {
+  let parenDepth = 0;
+  let quoteChar = null;
+  let question = -1;
+  let nested = 0;
+
+  for (let i = 0; i < expr.length; i++) {
+    const char = expr[i];
+    if (quoteChar !== null) {
+      if (char === quoteChar && expr[i - 1] !== "\\") {
+        quoteChar = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quoteChar = char;
+    } else if (char === "(") {
+      parenDepth++;
+    } else if (char === ")") {
+      parenDepth--;
+    } else if (parenDepth !== 0) {
+      continue;
+    } else if (char === "?") {
+      if (expr[i + 1] === "?") {
+        i++; // Skip nullish coalescing
+      } else if (question === -1) {
+        question = i;
+      } else {
+        nested++;
+      }
+    } else if (char === ":" && question !== -1) {
+      if (nested === 0) {
+        return { question, colon: i };
+      }
+      nested--;
+    }
+  }
+
+  return question === -1 ? null : { question, colon: -1 };
+};
+
 /**
  * Parses an atomic expression (variable, number, boolean, string)
  * @param {string} expr - The expression to parse
@@ -1062,22 +2430,137 @@ const validateLoopSyntaxWithContext = (loopExpr, isEach = false) => {
       // Replace $for with $each in error message if needed
       if (isEach) {
         const message = error.message.replace(/\$for/g, "$each");
-        throw new JemplParseError(message.replace("Parse Error: ", ""));
+        throw new JemplParseError(
+          message.replace("Parse Error: ", ""),
+          error.code,
+          error.details,
+        );
       }
     }
     throw error;
   }
 };
 
+/**
+ * Checks whether a loop body may read `$loop`, so loops that don't can skip
+ * building it. Partials, slots and blocks count as reading it, since their
+ * content is only known when rendering. Nested loops are parsed first, so
+ * their body is covered by their own `usesLoopMeta` flag instead of being
+ * walked again.
+ * @param {any} value - AST node or a value inside one
+ * @returns {boolean}
+ */
+const readsLoopMeta = (value) => {
+  if (Array.isArray(value)) {
+    return value.some(readsLoopMeta);
+  }
+  if (value === null || typeof value !== "object") {
+    return false;
+  }
+  switch (value.type) {
+    case NodeType.VARIABLE:
+      return /^\$loop(?![\w$])/.test(value.path);
+    case NodeType.PARTIAL:
+    case NodeType.SLOT:
+    case NodeType.BLOCK:
+      return true;
+    case NodeType.LOOP:
+      return (
+        value.usesLoopMeta === true ||
+        Object.entries(value).some(
+          ([field, child]) => field !== "body" && readsLoopMeta(child),
+        )
+      );
+  }
+  return Object.values(value).some(readsLoopMeta);
+};
+
 /**
  * Parses a loop structure ($for)
  * @param {string} key - The loop key (e.g., "$for p, i in people")
  * @param {any} value - The loop body
  * @param {Object} functions - Custom functions object
  * @param {boolean} isFromEach - Whether this came from $each transformation
+ * @param {Array<string|number>} [path=[]] - Template path of the array item holding the loop
  * @returns {Object} Loop AST node
  */
-export const parseLoop = (key, value, functions, isFromEach = false) => {
+export const parseLoop = (
+  key,
+  value,
+  functions,
+  isFromEach = false,
+  path = [],
+) => {
+  // $each bodies are siblings of the $each key, $for bodies are nested under it
+  const headerPath = isFromEach ? [...path, "$each"] : [...path, key];
+  const bodyPath = isFromEach ? path : headerPath;
+  // $each excerpts show the whole loop object rather than a single key
+  const sourceValue = isFromEach
+    ? { $each: key.replace(/^\$for\s+/, ""), ...value }
+    : value;
+  const sourceKey = isFromEach ? undefined : key;
+
+  let header;
+  try {
+    header = parseLoopHeader(key, functions, isFromEach);
+  } catch (error) {
+    return recoverParseError(
+      error,
+      headerPath,
+      isFromEach ? sourceValue : { [key]: value },
+    );
+  }
+  recordNodeLocation(header.iterable, headerPath, sourceValue, sourceKey);
+
+  // Parse the loop body
+  const body = parseValue(value, functions, bodyPath);
+
+  const node = {
+    type: NodeType.LOOP,
+    itemVar: header.itemVar,
+    indexVar: header.indexVar,
+    iterable: header.iterable,
+    body,
+    flatten: header.flatten,
+  };
+  if (readsLoopMeta(body)) {
+    node.usesLoopMeta = true;
+  }
+  recordTemplateLocation(node, headerPath, sourceValue, sourceKey);
+
+  // Clauses are only added when present, to keep plain loops unchanged
+  for (const clause of ["where", "limit", "offset"]) {
+    if (header[clause]) {
+      node[clause] = header[clause];
+      recordNodeLocation(node[clause], headerPath, sourceValue, sourceKey);
+    }
+  }
+  if (header.groupBy) {
+    node.groupBy = header.groupBy;
+    recordNodeLocation(
+      node.groupBy.expression,
+      headerPath,
+      sourceValue,
+      sourceKey,
+    );
+  }
+  if (header.sort) {
+    node.sort = header.sort;
+    for (const { expression } of node.sort) {
+      recordNodeLocation(expression, headerPath, sourceValue, sourceKey);
+    }
+  }
+  return node;
+};
+
+/**
+ * Parses the header of a loop key into its variables and iterable
+ * @param {string} key - The loop key (e.g., "$for p, i in people")
+ * @param {Object} functions - Custom functions object
+ * @param {boolean} isFromEach - Whether this came from $each transformation
+ * @returns {Object} { itemVar, indexVar, iterable, flatten }
+ */
+const parseLoopHeader = (key, functions, isFromEach) => {
   // Parse the loop syntax: "$for p, i in people" or "$for:nested p in people"
   // Extract modifier if present
   const forPattern = /^\$for(?::(\w+))?\s+(.+)$/;
@@ -1086,6 +2569,8 @@ export const parseLoop = (key, value, functions, isFromEach = false) => {
     const directive = isFromEach ? "$each" : "$for";
     throw new JemplParseError(
       `Invalid loop syntax (got: '${key.replace("$for", directive)}')`,
+      ErrorCode.LOOP_INVALID_SYNTAX,
+      { expression: key },
     );
   }
 
@@ -1101,6 +2586,8 @@ export const parseLoop = (key, value, functions, isFromEach = false) => {
     const directive = isFromEach ? "$each" : "$for";
     throw new JemplParseError(
       `Invalid loop syntax - missing 'in' keyword (got: '${directive} ${loopExpr}')`,
+      ErrorCode.LOOP_MISSING_IN,
+      { expression: loopExpr },
     );
   }
 
@@ -1115,6 +2602,8 @@ export const parseLoop = (key, value, functions, isFromEach = false) => {
     if (vars.length !== 2) {
       throw new JemplParseError(
         `Invalid loop variables: ${varsExpr}. Expected format: "item" or "item, index"`,
+        ErrorCode.LOOP_INVALID_VARIABLE,
+        { expression: loopExpr, variables: vars },
       );
     }
     itemVar = vars[0];
@@ -1126,24 +2615,243 @@ export const parseLoop = (key, value, functions, isFromEach = false) => {
   // Check for reserved variable names
   const reservedNames = ["this", "undefined", "null", "true", "false"];
   if (reservedNames.includes(itemVar)) {
-    throw new JemplParseError(`Reserved variable name: ${itemVar}`);
+    throw new JemplParseError(
+      `Reserved variable name: ${itemVar}`,
+      ErrorCode.LOOP_RESERVED_VARIABLE,
+      { variable: itemVar },
+    );
   }
   if (indexVar && reservedNames.includes(indexVar)) {
-    throw new JemplParseError(`Reserved variable name: ${indexVar}`);
+    throw new JemplParseError(
+      `Reserved variable name: ${indexVar}`,
+      ErrorCode.LOOP_RESERVED_VARIABLE,
+      { variable: indexVar },
+    );
   }
 
-  // Parse the iterable (variable reference or function call)
-  const iterable = parseIterableExpression(iterableExpr, functions);
+  const clauses = splitLoopClauses(iterableExpr);
 
-  // Parse the loop body
-  const body = parseValue(value, functions);
+  // Parse the iterable (range, variable reference or function call)
+  const iterable =
+    parseRangeExpression(clauses.iterable, functions) ??
+    parseIterableExpression(clauses.iterable, functions);
 
-  return {
-    type: NodeType.LOOP,
+  const header = {
     itemVar,
     indexVar,
     iterable,
-    body,
     flatten: modifier !== "nested", // default true, false if :nested
   };
+
+  if (clauses.where !== undefined) {
+    validateConditionExpression(clauses.where);
+    header.where = parseConditionExpression(clauses.where, functions);
+  }
+  if (clauses["group by"] !== undefined) {
+    header.groupBy = parseGroupClause(clauses["group by"], functions, itemVar);
+  }
+  if (clauses["sort by"] !== undefined) {
+    header.sort = parseSortClause(clauses["sort by"], functions);
+  }
+  if (clauses.limit !== undefined) {
+    validateConditionExpression(clauses.limit);
+    header.limit = parseConditionExpression(clauses.limit, functions);
+  }
+  if (clauses.offset !== undefined) {
+    validateConditionExpression(clauses.offset);
+    header.offset = parseConditionExpression(clauses.offset, functions);
+  }
+
+  return header;
+};
+
+/**
+ * Parses "start..end" range iterables: "1..pages", "0..100 step 10" (end
+ * included). "range(...)" calls stay function calls so render can pick a
+ * custom `range` function over the built-in one.
+ * @param {string} expr - The iterable expression
+ * @param {Object} functions - Custom functions object
+ * @returns {Object|null} Range AST node, or null when the expression is not a range
+ * @throws {JemplParseError} For ranges with a missing bound or step
+ */
+const parseRangeExpression = (expr, functions) => {
+  const dots = findOperatorOutsideParens(expr, "..");
+  if (dots === -1) {
+    return null;
+  }
+
+  const startExpr = expr.slice(0, dots).trim();
+  let endExpr = expr.slice(dots + 2).trim();
+  let stepExpr = null;
+  const stepIndex = findOperatorOutsideParens(endExpr, " step ");
+  if (stepIndex !== -1) {
+    stepExpr = endExpr.slice(stepIndex + 6).trim();
+    endExpr = endExpr.slice(0, stepIndex).trim();
+  }
+  if (startExpr === "" || endExpr === "" || stepExpr === "") {
+    throw new JemplParseError(
+      `Invalid range - use 'start..end' or 'start..end step n' (got: '${expr}')`,
+      ErrorCode.LOOP_INVALID_RANGE,
+      { expression: expr },
+    );
+  }
+
+  const parseBound = (boundExpr) => {
+    validateConditionExpression(boundExpr);
+    return parseConditionExpression(boundExpr, functions);
+  };
+  return {
+    type: NodeType.RANGE,
+    start: parseBound(startExpr),
+    end: parseBound(endExpr),
+    step: stepExpr === null ? null : parseBound(stepExpr),
+    inclusive: true,
+  };
+};
+
+// Clauses after the iterable, in the order they must appear
+const LOOP_CLAUSES = ["where", "group by", "sort by", "limit", "offset"];
+
+/**
+ * Splits the clauses off a loop iterable:
+ * "products where p.inStock sort by p.price desc limit 10" ->
+ * { iterable: "products", where: "p.inStock", "sort by": "p.price desc", limit: "10" }
+ * @param {string} expr - Everything after ' in '
+ * @returns {Object} The iterable and the text of each clause that is present
+ * @throws {JemplParseError} For empty or out-of-order clauses
+ */
+const splitLoopClauses = (expr) => {
+  // The trailing space lets a clause keyword at the very end be found
+  const padded = `${expr} `;
+  const found = [];
+  for (const clause of LOOP_CLAUSES) {
+    const index = findOperatorOutsideParens(padded, ` ${clause} `);
+    if (index !== -1) {
+      found.push({ clause, index });
+    }
+  }
+
+  if (found.length === 0) {
+    return { iterable: expr };
+  }
+
+  for (let i = 1; i < found.length; i++) {
+    if (found[i].index < found[i - 1].index) {
+      throw new JemplParseError(
+        `Loop clauses must be in the order 'where', 'group by', 'sort by', 'limit', 'offset' (got: '${expr}')`,
+        ErrorCode.LOOP_INVALID_CLAUSE,
+        { expression: expr },
+      );
+    }
+  }
+
+  const result = { iterable: padded.slice(0, found[0].index).trim() };
+  for (let i = 0; i < found.length; i++) {
+    const { clause, index } = found[i];
+    const end = i + 1 < found.length ? found[i + 1].index : padded.length;
+    const text = padded.slice(index + clause.length + 2, end).trim();
+    if (text === "") {
+      throw new JemplParseError(
+        `Missing expression after '${clause}' in loop (got: '${expr}')`,
+        ErrorCode.LOOP_INVALID_CLAUSE,
+        { expression: expr, clause },
+      );
+    }
+    result[clause] = text;
+  }
+
+  return result;
+};
+
+/**
+ * Parses a `sort by` clause into sort keys: "p.price desc, p.name" ->
+ * [{ expression: p.price, descending: true }, { expression: p.name, descending: false }]
+ * @param {string} text - Text after 'sort by'
+ * @param {Object} functions - Custom functions object
+ * @returns {Array<{expression: Object, descending: boolean}>}
+ */
+const parseSortClause = (text, functions) => {
+  const keys = [];
+  let rest = text;
+
+  while (rest !== "") {
+    const comma = findOperatorOutsideParens(rest, ",");
+    const part = (comma === -1 ? rest : rest.slice(0, comma)).trim();
+    rest = comma === -1 ? "" : rest.slice(comma + 1).trim();
+
+    const match = part.match(/^(.*?)(?:\s+(asc|desc))?$/i);
+    const expression = match[1].trim();
+    if (expression === "") {
+      throw new JemplParseError(
+        `Missing sort expression in 'sort by ${text}'`,
+        ErrorCode.LOOP_INVALID_CLAUSE,
+        { expression: text, clause: "sort by" },
+      );
+    }
+    validateConditionExpression(expression);
+    keys.push({
+      expression: parseConditionExpression(expression, functions),
+      descending: match[2]?.toLowerCase() === "desc",
+    });
+  }
+
+  return keys;
+};
+
+/**
+ * Lists the variables an expression reads, in evaluation order
+ * @param {Object} node - Expression AST node
+ * @param {Array<string>} paths - Collected variable paths
+ * @returns {Array<string>} The collected paths, like ["o.status"]
+ */
+const collectVariablePaths = (node, paths = []) => {
+  switch (node.type) {
+    case NodeType.VARIABLE:
+      paths.push(node.path);
+      break;
+    case NodeType.FUNCTION:
+      for (const arg of node.args) {
+        collectVariablePaths(arg, paths);
+      }
+      break;
+    case NodeType.BINARY:
+      collectVariablePaths(node.left, paths);
+      collectVariablePaths(node.right, paths);
+      break;
+    case NodeType.UNARY:
+      collectVariablePaths(node.operand, paths);
+      break;
+    case NodeType.TERNARY:
+      collectVariablePaths(node.condition, paths);
+      collectVariablePaths(node.consequent, paths);
+      collectVariablePaths(node.alternate, paths);
+      break;
+  }
+  return paths;
+};
+
+/**
+ * Parses a `group by` clause. Like `where`, the expression reads each item as
+ * the loop variable, so "$for g in orders group by g.status" groups the
+ * orders by their status.
+ * @param {string} text - Text after 'group by'
+ * @param {Object} functions - Custom functions object
+ * @param {string} loopVar - Loop variable, which holds each item before grouping
+ * @returns {{expression: Object}}
+ * @throws {JemplParseError} When the expression does not read the loop variable
+ */
+const parseGroupClause = (text, functions, loopVar) => {
+  validateConditionExpression(text);
+  const expression = parseConditionExpression(text, functions);
+  const readsItem = collectVariablePaths(expression).some(
+    (path) => path.match(/^[^.[]+/)[0] === loopVar,
+  );
+  if (!readsItem) {
+    throw new JemplParseError(
+      `'group by' must read the loop variable '${loopVar}', like 'group by ${loopVar}.status' (got: 'group by ${text}')`,
+      ErrorCode.LOOP_INVALID_CLAUSE,
+      { expression: text, clause: "group by" },
+    );
+  }
+  return { expression };
 };
@@ -1,9 +1,10 @@
 import { NodeType } from "./constants.js";
-import { JemplParseError } from "../errors.js";
 import {
-  parseConditionExpression,
-  findOperatorOutsideParens,
-} from "./utils.js";
+  JemplParseError,
+  ErrorCode,
+  validateConditionExpression,
+} from "../errors.js";
+import { parseConditionExpression, isOperatorExpression } from "./utils.js";
 
 const VARIABLE_REGEX = /\$\{([^}]*)\}/g;
 const PATH_REFERENCE_REGEX = /#\{([^}]*)\}/g;
@@ -132,36 +133,9 @@ const parseArgument = (arg, functions = {}) => {
     };
   }
 
-  // Check for arithmetic expressions in arguments
+  // Operator expressions in arguments share the condition grammar
   const trimmed = arg.trim();
-
-  // Check for arithmetic operators with spaces (same as in conditional parsing)
-  const arithmeticOps = [
-    { op: " + ", type: "ADD" },
-    { op: " - ", type: "SUBTRACT" },
-  ];
-
-  // Find rightmost arithmetic operator for left-to-right evaluation
-  let lastArithMatch = -1;
-  let lastArithOp = null;
-
-  for (const { op, type } of arithmeticOps) {
-    let pos = 0;
-    while (pos < trimmed.length) {
-      const match = findOperatorOutsideParens(trimmed.substring(pos), op);
-      if (match === -1) break;
-
-      const actualPos = pos + match;
-      if (actualPos > lastArithMatch) {
-        lastArithMatch = actualPos;
-        lastArithOp = { op, type };
-      }
-      pos = actualPos + op.length;
-    }
-  }
-
-  if (lastArithMatch !== -1) {
-    // Found arithmetic, parse as condition expression
+  if (isOperatorExpression(trimmed)) {
     try {
       return parseConditionExpression(trimmed, functions);
     } catch (error) {
@@ -177,49 +151,83 @@ const parseArgument = (arg, functions = {}) => {
 // Valid function call: word followed by parentheses with any content
 const FUNCTION_CALL_REGEX = /^\w+\(.*\)$/;
 
-// Invalid expressions: arithmetic with spaces, logical operators, ternary
-const INVALID_EXPR_REGEX = /\s[+\-*/%]\s|\|\||&&|\?\?|.*\?.*:/;
+/**
+ * Splits an expression at its top-level filter pipes (`|` but not `||`),
+ * respecting quotes and nested parentheses
+ * @param {string} expr - The expression without ${ and }
+ * @returns {Array<string>} The piped value followed by each filter
+ */
+const splitFilters = (expr) => {
+  const segments = [];
+  let start = 0;
+  let depth = 0;
+  let quoteChar = null;
+
+  for (let i = 0; i < expr.length; i++) {
+    const char = expr[i];
+    if (quoteChar !== null) {
+      if (char === quoteChar && expr[i - 1] !== "\\") {
+        quoteChar = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quoteChar = char;
+    } else if (char === "(") {
+      depth++;
+    } else if (char === ")") {
+      depth--;
+    } else if (char === "|" && depth === 0) {
+      if (expr[i + 1] === "|") {
+        i++; // Skip logical OR
+      } else {
+        segments.push(expr.substring(start, i).trim());
+        start = i + 1;
+      }
+    }
+  }
+
+  segments.push(expr.substring(start).trim());
+  return segments;
+};
 
 /**
- * Validates variable expression for unsupported syntax
- * @param {string} expr - The expression to validate
- * @throws {JemplParseError} If expression contains unsupported syntax
+ * Desugars a filter chain like `price | currency('EUR')` into nested function
+ * nodes, passing each result as the first argument of the next filter
+ * @param {Array<string>} segments - The piped value followed by each filter
+ * @param {string} expr - The full expression, for error messages
+ * @param {Object} functions - Available functions for validation
+ * @returns {Object} Function node of the last filter
  */
-const validateVariableExpression = (expr) => {
-  // Allow empty expressions and function calls
-  if (!expr || expr.trim() === "" || FUNCTION_CALL_REGEX.test(expr)) {
-    return;
+const parseFilters = (segments, expr, functions) => {
+  if (!segments[0]) {
+    throw new JemplParseError(
+      `Missing value before filter '|' (got: '${expr}')`,
+      ErrorCode.FILTER_INVALID,
+      { expression: expr, filter: segments[1] },
+    );
   }
 
-  // Check for invalid expression patterns
-  if (INVALID_EXPR_REGEX.test(expr)) {
-    // Determine specific error message based on what was found
-    if (expr.includes("?") && expr.includes(":")) {
-      throw new JemplParseError(
-        `Complex expressions not supported in variable replacements - ` +
-          `consider calculating the value in your data instead. ` +
-          `Offending expression: "${expr}"`,
-      );
-    } else if (
-      expr.includes("||") ||
-      expr.includes("&&") ||
-      expr.includes("??")
-    ) {
-      throw new JemplParseError(
-        `Logical operators not supported in variable replacements - ` +
-          `consider calculating the value in your data instead ` +
-          `(operators like ||, &&, ?? are not supported). ` +
-          `Offending expression: "${expr}"`,
-      );
-    } else {
+  let node = parseVariable(segments[0], functions);
+
+  for (const filter of segments.slice(1)) {
+    if (/^\w+$/.test(filter)) {
+      node = { type: NodeType.FUNCTION, name: filter, args: [node] };
+      continue;
+    }
+
+    const call = parseFunctionCall(filter, functions);
+    if (!call.isFunction) {
       throw new JemplParseError(
-        `Arithmetic expressions not supported in variable replacements - ` +
-          `consider calculating '${expr}' in your data instead ` +
-          `(expressions with +, -, *, /, % are not supported). ` +
-          `Offending expression: "${expr}"`,
+        `Invalid filter '${filter}' - filters must be function names like 'trim' ` +
+          `or calls like 'currency("EUR")' (got: '${expr}')`,
+        ErrorCode.FILTER_INVALID,
+        { expression: expr, filter },
       );
     }
+
+    node = { type: call.type, name: call.name, args: [node, ...call.args] };
   }
+
+  return node;
 };
 
 /**
@@ -236,6 +244,8 @@ export const parsePathReference = (expr) => {
       `Functions are not supported in path references - ` +
         `path references can only refer to loop variables. ` +
         `Offending expression: "#{${expr}}"`,
+      ErrorCode.PATH_REFERENCE_UNSUPPORTED,
+      { expression: expr, kind: "function" },
     );
   }
 
@@ -245,6 +255,8 @@ export const parsePathReference = (expr) => {
       `Array indices not supported in path references - ` +
         `use simple variable names or properties. ` +
         `Offending expression: "#{${expr}}"`,
+      ErrorCode.PATH_REFERENCE_UNSUPPORTED,
+      { expression: expr, kind: "arrayIndex" },
     );
   }
 
@@ -254,6 +266,8 @@ export const parsePathReference = (expr) => {
       `Arithmetic expressions not supported in path references - ` +
         `path references can only refer to loop variables. ` +
         `Offending expression: "#{${expr}}"`,
+      ErrorCode.PATH_REFERENCE_UNSUPPORTED,
+      { expression: expr, kind: "arithmetic" },
     );
   }
 
@@ -263,6 +277,8 @@ export const parsePathReference = (expr) => {
       `Logical operators not supported in path references - ` +
         `path references can only refer to loop variables. ` +
         `Offending expression: "#{${expr}}"`,
+      ErrorCode.PATH_REFERENCE_UNSUPPORTED,
+      { expression: expr, kind: "logical" },
     );
   }
 
@@ -272,6 +288,8 @@ export const parsePathReference = (expr) => {
       `Complex expressions not supported in path references - ` +
         `path references can only refer to loop variables. ` +
         `Offending expression: "#{${expr}}"`,
+      ErrorCode.PATH_REFERENCE_UNSUPPORTED,
+      { expression: expr, kind: "ternary" },
     );
   }
 
@@ -282,7 +300,9 @@ export const parsePathReference = (expr) => {
 };
 
 /**
- * Parses a variable expression like ${name} or ${user.profile.name} or function calls like ${now()}
+ * Parses a variable expression like ${name} or ${user.profile.name}, function calls like ${now()},
+ * operator expressions like ${name ?? 'Guest'} and ${(page - 1) * size}, or filter chains
+ * like ${user.name | trim | capitalize}
  * @param {string} expr - The expression without ${ and }
  * @param {Object} functions - Available functions for validation
  * @returns {Object} Variable or Function node
@@ -290,8 +310,33 @@ export const parsePathReference = (expr) => {
 export const parseVariable = (expr, functions = {}) => {
   const trimmed = expr.trim();
 
-  // Validate the expression first
-  validateVariableExpression(trimmed);
+  // Fast path for plain paths like user.profile.name
+  if (/^[a-zA-Z_$][\w.$]*$/.test(trimmed)) {
+    return {
+      type: NodeType.VARIABLE,
+      path: trimmed,
+    };
+  }
+
+  // Negative numbers like ${-5} are literals, as they are in conditions
+  if (/^-\d/.test(trimmed) && !isNaN(Number(trimmed))) {
+    return { type: NodeType.LITERAL, value: Number(trimmed) };
+  }
+
+  // Filters have the lowest precedence: ${a ?? b | upper} is upper(a ?? b)
+  if (trimmed.includes("|")) {
+    const segments = splitFilters(trimmed);
+    if (segments.length > 1) {
+      return parseFilters(segments, trimmed, functions);
+    }
+  }
+
+  // Operator expressions share the condition grammar, e.g.
+  // ${user.nickname ?? user.name} or ${isAdmin ? 'Admin' : 'User'}
+  if (isOperatorExpression(trimmed)) {
+    validateConditionExpression(trimmed);
+    return parseConditionExpression(trimmed, functions);
+  }
 
   // Try to parse as function call first
   const functionNode = parseFunctionCall(trimmed, functions);
@@ -8,6 +8,12 @@ import * as defaultFunctions from "./functions.js";
  * @param {Object} data - Data to use for variable substitution
  * @param {Object} [options] - Options object
  * @param {Object.<string, Function>} [options.functions] - Custom functions
+ * @param {Object.<string, Object>} [options.partials] - Partial templates
+ * @param {boolean} [options.strict=false] - Throw when a variable is missing from the data
+ * @param {Function} [options.onMissing] - Called with the missing-variable error instead of throwing it
+ * @param {Function|number|Date} [options.clock] - Current time for `now()` and the date functions
+ * @param {string} [options.partialScope="inherit"] - "isolated" to render partials with only their inline data and the globals
+ * @param {Array<string>} [options.globals] - Top-level data properties isolated partials can read
  * @returns {Object} The rendered output
  * @throws {JemplParseError} When template syntax is invalid
  * @throws {JemplRenderError} When rendering fails
@@ -45,24 +51,41 @@ import * as defaultFunctions from "./functions.js";
  * // result: { greeting: "Hello WORLD!", timestamp: 1234567890123 }
  */
 const parseAndRender = (template, data, options = {}) => {
-  const { functions = {}, partials = {} } = options;
+  const {
+    functions = {},
+    partials = {},
+    strict,
+    onMissing,
+    clock,
+    partialScope,
+    globals,
+  } = options;
 
   // Merge default functions with custom functions
   const allFunctions = { ...defaultFunctions, ...functions };
 
-  // Parse the template into an AST
-  const ast = parse(template, { functions: allFunctions });
+  // Parse the template into an AST, putting it into its base template
+  // when it uses $extends
+  const ast = parse(template, { functions: allFunctions, partials });
 
   // Parse all partials into ASTs
   const parsedPartials = {};
   for (const [name, partialTemplate] of Object.entries(partials)) {
-    parsedPartials[name] = parse(partialTemplate, { functions: allFunctions });
+    parsedPartials[name] = parse(partialTemplate, {
+      functions: allFunctions,
+      partials,
+    });
   }
 
   // Render the AST with the data and partials
   return render(ast, data, {
     functions: allFunctions,
     partials: parsedPartials,
+    strict,
+    onMissing,
+    clock,
+    partialScope,
+    globals,
   });
 };
 
@@ -1,15 +1,33 @@
 import { NodeType, BinaryOp, UnaryOp } from "./parse/constants.js";
+import { collectBlockNames, resolveExtends } from "./parse/extends.js";
+import { getParamType, formatParamType } from "./parse/params.js";
 import {
+  copyTemplateLocation,
   createIterationRenderError,
+  createMissingVariableRenderError,
   createUnknownFunctionRenderError,
+  findClosestName,
+  formatSuggestion,
   JemplRenderError,
+  ErrorCode,
+  withNodeLocation,
 } from "./errors.js";
+import { withClock } from "./clock.js";
 
 /**
  * Renders a parsed AST with data to produce the final output
  * @param {Object} ast - The parsed AST to render
  * @param {Object} data - Data to use for variable substitution
- * @param {Object.<string, Function>} [functions={}] - Custom functions
+ * @param {Object} [options] - Options object, or a custom functions object (legacy)
+ * @param {Object.<string, Function>} [options.functions={}] - Custom functions
+ * @param {Object.<string, Object>} [options.partials={}] - Parsed partial ASTs
+ * @param {boolean} [options.strict=false] - Throw when a variable is missing from the data
+ * @param {Function} [options.onMissing] - Called with the missing-variable error instead of throwing it
+ * @param {Function|number|Date} [options.clock] - Current time for `now()` and the date functions,
+ *   as a function returning a timestamp or Date, or a fixed timestamp or Date
+ * @param {string} [options.partialScope="inherit"] - "isolated" to render every partial with only
+ *   its inline data and the globals, unless the partial sets `$isolated: false`
+ * @param {Array<string>} [options.globals=[]] - Top-level data properties isolated partials can read
  * @returns {Object} The rendered output
  * @throws {JemplRenderError} When rendering fails (unknown functions, invalid iteration, etc.)
  *
@@ -33,18 +51,39 @@ import {
  * const ast = parse({ timestamp: "${now()}" });
  * const result = render(ast, {}, { now: () => Date.now() });
  * // result: { timestamp: 1234567890123 }
+ *
+ * @example
+ * // Fail on typos instead of rendering blanks
+ * render(parse({ name: "${usr.name}" }), { user: { name: "Ada" } }, { strict: true });
+ * // throws: Variable 'usr.name' is not defined (no part of the path exists)
  */
 const render = (ast, data, options = {}) => {
   // Handle backward compatibility - if third arg is not an object with functions/partials keys,
   // assume it's the old functions object
   let functions = {};
   let partials = {};
+  let reportMissing;
+  let clock;
+  let partialScope;
+  let globals = [];
 
   if (options && typeof options === "object") {
-    if (options.functions !== undefined || options.partials !== undefined) {
+    if (
+      options.functions !== undefined ||
+      options.partials !== undefined ||
+      options.strict !== undefined ||
+      options.onMissing !== undefined ||
+      options.clock !== undefined ||
+      options.partialScope !== undefined ||
+      options.globals !== undefined
+    ) {
       // New API
       functions = options.functions || {};
       partials = options.partials || {};
+      reportMissing = createMissingReporter(options);
+      clock = options.clock;
+      partialScope = options.partialScope;
+      globals = options.globals || [];
     } else if (typeof options === "object") {
       // Old API - assume it's functions object for backward compatibility
       functions = options;
@@ -55,7 +94,16 @@ const render = (ast, data, options = {}) => {
   // This avoids performance overhead when not using the feature
   const initialScope = {};
 
-  const result = renderNode(ast, { functions, partials }, data, initialScope);
+  const renderOptions = {
+    functions,
+    partials,
+    reportMissing,
+    partialScope: validatePartialScope(partialScope),
+    globals: pickGlobals(data, globals),
+  };
+  const result = withClock(clock, () =>
+    renderNode(ast, renderOptions, data, initialScope),
+  );
   // Convert undefined to empty object at root level (for $when: false at root)
   if (result === undefined) {
     return {};
@@ -63,6 +111,93 @@ const render = (ast, data, options = {}) => {
   return result;
 };
 
+/**
+ * Checks the `partialScope` option
+ * @param {any} partialScope - "inherit" (default) or "isolated"
+ * @returns {string|undefined} The option
+ * @throws {JemplRenderError} For any other value
+ */
+const validatePartialScope = (partialScope) => {
+  if (
+    partialScope !== undefined &&
+    partialScope !== "inherit" &&
+    partialScope !== "isolated"
+  ) {
+    throw new JemplRenderError(
+      `Invalid partialScope option - expected "inherit" or "isolated" (got: ${JSON.stringify(partialScope)})`,
+      ErrorCode.PARTIAL_SCOPE_INVALID,
+      { partialScope },
+    );
+  }
+  return partialScope;
+};
+
+/**
+ * Picks the data properties named by the `globals` option, which isolated
+ * partials can read
+ * @param {any} data - Render data
+ * @param {any} globals - Array of top-level data property names
+ * @returns {Object} Global values by name
+ * @throws {JemplRenderError} When globals is not an array of names
+ */
+const pickGlobals = (data, globals) => {
+  if (
+    !Array.isArray(globals) ||
+    !globals.every((name) => typeof name === "string")
+  ) {
+    throw new JemplRenderError(
+      "Invalid globals option - expected an array of data property names, like ['locale', 'user']",
+      ErrorCode.PARTIAL_SCOPE_INVALID,
+      { globals },
+    );
+  }
+  const values = {};
+  if (data !== null && typeof data === "object") {
+    for (const name of globals) {
+      if (Object.hasOwn(data, name)) {
+        values[name] = data[name];
+      }
+    }
+  }
+  return values;
+};
+
+/**
+ * Creates the handler for variables missing from the data, or undefined when
+ * missing variables should render as undefined
+ * @param {Object} options - Render options
+ * @param {boolean} [options.strict] - Throw on missing variables
+ * @param {Function} [options.onMissing] - Receives the error instead of it being thrown
+ * @returns {Function|undefined} (node, data, scope) => value
+ */
+const createMissingReporter = ({ strict, onMissing }) => {
+  if (!strict && typeof onMissing !== "function") {
+    return undefined;
+  }
+
+  return (node, data, scope) => {
+    const missing = findMissingPath(node.path, data, scope);
+    // The whole path exists and holds undefined - not a missing variable
+    if (missing === null) {
+      return undefined;
+    }
+
+    const error = withNodeLocation(
+      createMissingVariableRenderError(
+        node.path,
+        missing.existingPath,
+        missing.suggestion,
+      ),
+      node,
+    );
+    if (typeof onMissing === "function") {
+      onMissing(error);
+      return undefined;
+    }
+    throw error;
+  };
+};
+
 /**
  * Renders a single AST node
  * @param {Object} node
@@ -85,7 +220,11 @@ const renderNode = (node, options, data, scope) => {
   }
 
   if (node.type === NodeType.VARIABLE) {
-    return getVariableValue(node.path, data, scope);
+    const value = getVariableValue(node.path, data, scope);
+    if (value === undefined && options.reportMissing) {
+      return options.reportMissing(node, data, scope);
+    }
+    return value;
   }
 
   if (node.type === NodeType.INTERPOLATION) {
@@ -103,24 +242,74 @@ const renderNode = (node, options, data, scope) => {
     case NodeType.UNARY:
       return renderUnaryOperation(node, options, data, scope);
 
+    case NodeType.TERNARY:
+      return renderTernary(node, options, data, scope);
+
     case NodeType.CONDITIONAL:
       return renderConditional(node, options, data, scope);
 
+    case NodeType.SWITCH:
+      return renderSwitch(node, options, data, scope);
+
     case NodeType.LOOP:
       return renderLoop(node, options, data, scope);
 
+    case NodeType.RANGE:
+      return rangeToArray(evaluateRange(node, options, data, scope));
+
     case NodeType.OBJECT:
       return renderObject(node, options, data, scope);
 
+    case NodeType.LET:
+      return renderLet(node, options, data, scope);
+
+    case NodeType.SPREAD:
+      return renderSpread(node, options, data, scope);
+
+    case NodeType.ENTRIES:
+      return renderEntries(node, options, data, scope);
+
     case NodeType.ARRAY:
       return renderArray(node, options, data, scope);
 
     case NodeType.PARTIAL:
       return renderPartial(node, options, data, scope);
 
+    case NodeType.SLOT:
+      return renderSlot(node, options, data, scope);
+
+    case NodeType.BLOCK:
+      return node.content
+        ? renderNode(node.content, options, data, scope)
+        : undefined;
+
+    case NodeType.PARAMS:
+      return renderNode(
+        node.body,
+        options,
+        applyParams(node, options, data, scope),
+        scope,
+      );
+
+    case NodeType.EXTENDS:
+      return renderNode(
+        resolveExtendsNode(node, options.partials || {}, []),
+        options,
+        data,
+        scope,
+      );
+
     case NodeType.PATH_REFERENCE:
       return renderPathReference(node, options, data, scope);
 
+    case NodeType.ERROR:
+      // Placeholder left by parse(template, { collectErrors: true })
+      throw new JemplRenderError(
+        `Cannot render a template that failed to parse - ${node.message}`,
+        node.code,
+        { templatePath: node.templatePath },
+      );
+
     default:
       throw new Error(`Unknown node type: ${node.type}`);
   }
@@ -238,8 +427,8 @@ const getVariableValue = (path, data, scope) => {
   for (let i = 0; i < parsedPath.length; i++) {
     const accessor = parsedPath[i];
 
-    // For property access, check scope first
-    if (accessor.type === "property" && accessor.value in scope) {
+    // Loop variables can only be the first segment of a path
+    if (i === 0 && accessor.type === "property" && accessor.value in scope) {
       current = scope[accessor.value];
       continue;
     }
@@ -260,6 +449,81 @@ const getVariableValue = (path, data, scope) => {
   return current;
 };
 
+/**
+ * Formats parsed path accessors back into a variable path
+ * @param {Array} accessors - Accessors like [{ type: "property", value: "items" }, { type: "index", value: 0 }]
+ * @returns {string} Path like "items[0]"
+ */
+const formatAccessors = (accessors) => {
+  let path = "";
+  for (const accessor of accessors) {
+    if (accessor.type === "index") {
+      path += `[${accessor.value}]`;
+    } else {
+      path += path ? `.${accessor.value}` : accessor.value;
+    }
+  }
+  return path;
+};
+
+/**
+ * Finds where a variable path stops resolving in data or scope, and the
+ * existing path it was probably meant to be
+ * @param {string} path - Variable path like "user.profile.name"
+ * @param {Object} data - Data context
+ * @param {Object} scope - Local scope
+ * @returns {{existingPath: string, suggestion: string|undefined}|null} Longest existing prefix ("" if none)
+ *   and a suggested path, or null if the whole path exists
+ */
+const findMissingPath = (path, data, scope) => {
+  if (path in scope) {
+    return null;
+  }
+
+  // getVariableValue has already parsed and cached the path
+  const accessors = pathCache.get(path) || [];
+  let current = data;
+
+  for (let i = 0; i < accessors.length; i++) {
+    const accessor = accessors[i];
+    if (accessor.type === "property" && accessor.value in scope) {
+      current = scope[accessor.value];
+      continue;
+    }
+
+    if (current == null || !(accessor.value in Object(current))) {
+      let suggestion;
+      if (accessor.type === "property" && current != null) {
+        const candidates = Object.keys(current);
+        if (i === 0) {
+          // Loop variables and other scope entries, without internal keys
+          for (const key of Object.keys(scope)) {
+            if (!key.startsWith("_")) {
+              candidates.push(key);
+            }
+          }
+        }
+        const closest = findClosestName(accessor.value, candidates);
+        if (closest !== undefined) {
+          suggestion = formatAccessors([
+            ...accessors.slice(0, i),
+            { type: "property", value: closest },
+            ...accessors.slice(i + 1),
+          ]);
+        }
+      }
+      return {
+        existingPath: formatAccessors(accessors.slice(0, i)),
+        suggestion,
+      };
+    }
+
+    current = current[accessor.value];
+  }
+
+  return null;
+};
+
 /**
  * Renders string interpolation
  */
@@ -287,7 +551,10 @@ const renderFunction = (node, options, data, scope) => {
   const functions = options.functions || options;
   const func = functions[node.name];
   if (!func) {
-    throw createUnknownFunctionRenderError(node.name, functions);
+    throw withNodeLocation(
+      createUnknownFunctionRenderError(node.name, functions),
+      node,
+    );
   }
 
   const args = node.args.map((arg) => renderNode(arg, options, data, scope));
@@ -330,17 +597,22 @@ const evaluateCondition = (node, options, data, scope) => {
  * Renders binary operations
  */
 const renderBinaryOperation = (node, options, data, scope) => {
-  // For logical operations, use evaluateCondition to preserve undefined
-  if (node.op === BinaryOp.AND || node.op === BinaryOp.OR) {
+  // Nullish coalescing only renders the fallback when it is needed. The left
+  // side is an existence check, so it uses evaluateCondition like && and ||
+  if (node.op === BinaryOp.NULLISH) {
     const left = evaluateCondition(node.left, options, data, scope);
-    const right = evaluateCondition(node.right, options, data, scope);
+    return left ?? renderNode(node.right, options, data, scope);
+  }
 
-    switch (node.op) {
-      case BinaryOp.AND:
-        return left && right;
-      case BinaryOp.OR:
-        return left || right;
-    }
+  // For logical operations, use evaluateCondition to preserve undefined. The
+  // right side is only evaluated when the left side doesn't decide the result
+  if (node.op === BinaryOp.AND) {
+    const left = evaluateCondition(node.left, options, data, scope);
+    return left && evaluateCondition(node.right, options, data, scope);
+  }
+  if (node.op === BinaryOp.OR) {
+    const left = evaluateCondition(node.left, options, data, scope);
+    return left || evaluateCondition(node.right, options, data, scope);
   }
 
   // For other operations, use renderNode
@@ -363,24 +635,71 @@ const renderBinaryOperation = (node, options, data, scope) => {
     case BinaryOp.IN:
       return Array.isArray(right) ? right.includes(left) : false;
     case BinaryOp.ADD:
-      if (typeof left !== "number" || typeof right !== "number") {
-        throw new JemplRenderError(
-          `Arithmetic operations require numbers. Got ${typeof left} + ${typeof right}`,
-        );
-      }
+      assertNumericOperands(node, "+", left, right);
       return left + right;
     case BinaryOp.SUBTRACT:
-      if (typeof left !== "number" || typeof right !== "number") {
-        throw new JemplRenderError(
-          `Arithmetic operations require numbers. Got ${typeof left} - ${typeof right}`,
-        );
-      }
+      assertNumericOperands(node, "-", left, right);
       return left - right;
+    case BinaryOp.MULTIPLY:
+      assertNumericOperands(node, "*", left, right);
+      return left * right;
+    case BinaryOp.DIVIDE:
+      assertNumericOperands(node, "/", left, right);
+      assertNonZeroDivisor(node, "/", right);
+      return left / right;
+    case BinaryOp.MODULO:
+      assertNumericOperands(node, "%", left, right);
+      assertNonZeroDivisor(node, "%", right);
+      return left % right;
     default:
       throw new Error(`Unknown binary operator: ${node.op}`);
   }
 };
 
+/**
+ * Throws when either operand of an arithmetic operation is not a number
+ */
+const assertNumericOperands = (node, operator, left, right) => {
+  if (typeof left !== "number" || typeof right !== "number") {
+    throw withNodeLocation(
+      new JemplRenderError(
+        `Arithmetic operations require numbers. Got ${typeof left} ${operator} ${typeof right}`,
+        ErrorCode.ARITHMETIC_TYPE,
+        {
+          operator,
+          leftType: typeof left,
+          rightType: typeof right,
+        },
+      ),
+      node,
+    );
+  }
+};
+
+/**
+ * Throws on division by zero instead of rendering Infinity or NaN
+ */
+const assertNonZeroDivisor = (node, operator, right) => {
+  if (right === 0) {
+    throw withNodeLocation(
+      new JemplRenderError(
+        `Division by zero in '${operator}' operation`,
+        ErrorCode.DIVISION_BY_ZERO,
+        { operator },
+      ),
+      node,
+    );
+  }
+};
+
+/**
+ * Renders ternary expressions, preserving the type of the chosen branch
+ */
+const renderTernary = (node, options, data, scope) =>
+  evaluateCondition(node.condition, options, data, scope)
+    ? renderNode(node.consequent, options, data, scope)
+    : renderNode(node.alternate, options, data, scope);
+
 /**
  * Renders unary operations
  */
@@ -394,15 +713,46 @@ const renderUnaryOperation = (node, options, data, scope) => {
   switch (node.op) {
     case UnaryOp.NOT:
       return !operand;
+    case UnaryOp.NEGATE:
+      if (typeof operand !== "number") {
+        throw withNodeLocation(
+          new JemplRenderError(
+            `Arithmetic operations require numbers. Got -${typeof operand}`,
+            ErrorCode.ARITHMETIC_TYPE,
+            { operator: "-", operandType: typeof operand },
+          ),
+          node,
+        );
+      }
+      return -operand;
     default:
       throw new Error(`Unknown unary operator: ${node.op}`);
   }
 };
 
+/**
+ * Checks whether an object has properties that merge into it instead of
+ * being set as keys ($if, $switch, $spread, $entries), which inlined
+ * rendering skips
+ */
+const hasMergedProperties = (node) =>
+  (node._hasMergedProperties ??= node.properties.some(
+    (prop) =>
+      prop.value.type === NodeType.CONDITIONAL ||
+      prop.value.type === NodeType.SWITCH ||
+      prop.value.type === NodeType.SPREAD ||
+      prop.value.type === NodeType.ENTRIES,
+  ));
+
 /**
  * Ultra-fast conditional for simple variable checks (most common case)
  */
 const renderConditionalUltraFast = (node, options, data, scope) => {
+  // Inlined variable reads bypass missing-variable checks
+  if (options.reportMissing) {
+    return null;
+  }
+
   // Fast path for simple if/else with variable conditions
   if (node.conditions.length === 2 && node.conditions[1] === null) {
     const condition = node.conditions[0];
@@ -416,7 +766,8 @@ const renderConditionalUltraFast = (node, options, data, scope) => {
         const trueBody = node.bodies[0];
         if (
           trueBody.type === NodeType.OBJECT &&
-          trueBody.properties.length <= 5
+          trueBody.properties.length <= 5 &&
+          !hasMergedProperties(trueBody)
         ) {
           const result = {};
           for (const prop of trueBody.properties) {
@@ -457,7 +808,8 @@ const renderConditionalUltraFast = (node, options, data, scope) => {
         const falseBody = node.bodies[1];
         if (
           falseBody.type === NodeType.OBJECT &&
-          falseBody.properties.length <= 5
+          falseBody.properties.length <= 5 &&
+          !hasMergedProperties(falseBody)
         ) {
           const result = {};
           for (const prop of falseBody.properties) {
@@ -530,6 +882,61 @@ const renderConditional = (node, options, data, scope) => {
   return EMPTY_OBJECT;
 };
 
+/**
+ * Renders a $switch node. The expression is evaluated once and compared
+ * against the case values with strict equality.
+ */
+const renderSwitch = (node, options, data, scope) => {
+  const value = evaluateCondition(node.expression, options, data, scope);
+
+  for (let i = 0; i < node.cases.length; i++) {
+    const values = node.cases[i];
+
+    // null means the $default branch
+    if (values === null || values.includes(value)) {
+      return renderNode(node.bodies[i], options, data, scope);
+    }
+  }
+
+  // No case matched, return empty object marker
+  return EMPTY_OBJECT;
+};
+
+/**
+ * Creates the `$loop` variable that loop bodies see
+ * @param {number} index - Zero-based position of the current item
+ * @param {number} length - Number of items
+ * @param {Object} [parent] - `$loop` of the enclosing loop
+ * @returns {{index: number, first: boolean, last: boolean, length: number, parent: Object|null}}
+ */
+const createLoopMeta = (index, length, parent) => ({
+  index,
+  first: index === 0,
+  last: index === length - 1,
+  length,
+  parent: parent || null,
+});
+
+/**
+ * `$loop` properties the ultra-fast loop path computes inline
+ */
+const INLINE_LOOP_META = new Set([
+  "$loop.index",
+  "$loop.first",
+  "$loop.last",
+  "$loop.length",
+]);
+
+/**
+ * Computes one inline `$loop` property without creating the object
+ */
+const getLoopMetaValue = (prop, index, length) => {
+  if (prop === "index") return index;
+  if (prop === "first") return index === 0;
+  if (prop === "last") return index === length - 1;
+  return length;
+};
+
 /**
  * Ultra-fast path for loops with conditionals (branch prediction)
  */
@@ -677,6 +1084,8 @@ const renderLoopUltraFast = (node, iterable) => {
         const path = valueNode.path;
         if (path === itemVar) {
           accessors.push({ key, type: "item" });
+        } else if (INLINE_LOOP_META.has(path)) {
+          accessors.push({ key, type: "loop", prop: path.substring(6) });
         } else if (path.startsWith(itemVar + ".")) {
           const propPath = path.substring(itemVar.length + 1);
           // Only handle single-level property access for ultra-fast path
@@ -700,6 +1109,12 @@ const renderLoopUltraFast = (node, iterable) => {
           const path = part.path;
           if (path === itemVar) {
             accessors.push({ key, type: "item_string" });
+          } else if (INLINE_LOOP_META.has(path)) {
+            accessors.push({
+              key,
+              type: "loop_string",
+              prop: path.substring(6),
+            });
           } else if (path.startsWith(itemVar + ".")) {
             const propPath = path.substring(itemVar.length + 1);
             if (!propPath.includes(".") && !propPath.includes("[")) {
@@ -764,6 +1179,16 @@ const renderLoopUltraFast = (node, iterable) => {
             } else if (accessor.type === "prop_string") {
               const value = item[accessor.prop];
               result[accessor.key] = value != null ? String(value) : "";
+            } else if (accessor.type === "loop") {
+              result[accessor.key] = getLoopMetaValue(
+                accessor.prop,
+                i,
+                iterable.length,
+              );
+            } else if (accessor.type === "loop_string") {
+              result[accessor.key] = String(
+                getLoopMetaValue(accessor.prop, i, iterable.length),
+              );
             }
           }
 
@@ -782,6 +1207,11 @@ const renderLoopUltraFast = (node, iterable) => {
  * Fast path for rendering simple object loops (most common case)
  */
 const renderLoopFastPath = (node, options, data, scope, iterable) => {
+  // Inlined variable reads bypass missing-variable checks
+  if (options.reportMissing) {
+    return null;
+  }
+
   const results = [];
   const body = node.body;
 
@@ -800,6 +1230,9 @@ const renderLoopFastPath = (node, options, data, scope, iterable) => {
         [itemVar]: item,
         ...(indexVar && { [indexVar]: i }),
       };
+      if (node.usesLoopMeta) {
+        loopScope.$loop = createLoopMeta(i, iterable.length, scope.$loop);
+      }
 
       // Add path tracking
       if (!loopScope.__paths__) {
@@ -852,19 +1285,11 @@ const renderLoopFastPath = (node, options, data, scope, iterable) => {
             } else {
               // Multi-level property access or array indices
               // Use the full getVariableValue logic but with item in scope
-              result[key] = getVariableValue(path, data, {
-                ...scope,
-                [itemVar]: item,
-                ...(indexVar && { [indexVar]: i }),
-              });
+              result[key] = getVariableValue(path, data, loopScope);
             }
           } else {
             // Fall back to full variable resolution
-            result[key] = getVariableValue(path, data, {
-              ...scope,
-              [itemVar]: item,
-              ...(indexVar && { [indexVar]: i }),
-            });
+            result[key] = getVariableValue(path, data, loopScope);
           }
         } else if (valueNode.type === NodeType.INTERPOLATION) {
           // Inline string interpolation
@@ -886,41 +1311,24 @@ const renderLoopFastPath = (node, options, data, scope, iterable) => {
                   value = item[propName];
                 } else {
                   // Use the full getVariableValue logic for complex paths
-                  value = getVariableValue(path, data, {
-                    ...scope,
-                    [itemVar]: item,
-                    ...(indexVar && { [indexVar]: i }),
-                  });
+                  value = getVariableValue(path, data, loopScope);
                 }
               } else {
-                value = getVariableValue(path, data, {
-                  ...scope,
-                  [itemVar]: item,
-                  ...(indexVar && { [indexVar]: i }),
-                });
+                value = getVariableValue(path, data, loopScope);
               }
 
               segments.push(value != null ? String(value) : "");
             } else {
               // Fall back to full rendering for complex interpolations
-              const newScope = {
-                ...scope,
-                [itemVar]: item,
-                ...(indexVar && { [indexVar]: i }),
-              };
-              const value = renderNode(part, options, data, newScope);
+              const value = renderNode(part, options, data, loopScope);
               segments.push(value != null ? String(value) : "");
             }
           }
           result[key] = segments.join("");
         } else {
-          // Fall back to full rendering for complex nodes
-          const newScope = {
-            ...scope,
-            [itemVar]: item,
-            ...(indexVar && { [indexVar]: i }),
-          };
-          result[key] = renderNode(valueNode, options, data, newScope);
+          // Fall back to full rendering for complex nodes, with the path
+          // tracking that path references need
+          result[key] = renderNode(valueNode, options, data, loopScope);
         }
       }
 
@@ -1010,9 +1418,25 @@ const renderConditionalTestPatternNuclear = (node, iterable, itemVar) => {
  * Renders loops
  */
 const renderLoop = (node, options, data, scope) => {
-  const iterable = renderNode(node.iterable, options, data, scope);
+  // Ranges produce their numbers on demand instead of allocating an array
+  const rangeNode =
+    node.iterable.type === NodeType.RANGE
+      ? node.iterable
+      : builtinRangeCall(node.iterable, options);
+  let range =
+    rangeNode === null ? null : evaluateRange(rangeNode, options, data, scope);
+  let iterable =
+    range === null ? renderNode(node.iterable, options, data, scope) : range;
+
+  // Plain objects iterate their values in insertion order, with the key as
+  // the second loop variable
+  let keys = null;
+  if (range === null && isPlainObject(iterable)) {
+    keys = Object.keys(iterable);
+    iterable = keys.map((key) => iterable[key]);
+  }
 
-  if (!Array.isArray(iterable)) {
+  if (range === null && !Array.isArray(iterable)) {
     // Create the loop expression for error message
     let iterableStr;
     let isFunction = false;
@@ -1039,11 +1463,81 @@ const renderLoop = (node, options, data, scope) => {
       iterableStr = node.iterable.path || "undefined";
     }
     const loopExpr = `${node.itemVar}${node.indexVar ? `, ${node.indexVar}` : ""} in ${iterableStr}`;
-    throw createIterationRenderError(loopExpr, iterable, isFunction);
+    throw withNodeLocation(
+      createIterationRenderError(loopExpr, iterable, isFunction),
+      node,
+    );
+  }
+
+  // Items of a `group by` group keep the paths of the original items
+  let itemPaths = getGroupItemPaths(node, scope);
+
+  // Group the items, remembering the paths of each group's items
+  let groupPaths = null;
+  if (node.groupBy) {
+    if (range !== null) {
+      iterable = rangeToArray(range);
+      range = null;
+    }
+    const grouped = groupLoopItems(
+      node,
+      options,
+      data,
+      scope,
+      iterable,
+      keys,
+      itemPaths,
+    );
+    iterable = grouped.groups;
+    groupPaths = grouped.paths;
+    keys = null;
+    itemPaths = null;
+  }
+
+  // Apply where / sort by / limit / offset clauses, remembering where each
+  // remaining item came from for path references
+  let sourceIndices = null;
+  const hasClauses = node.where || node.sort || node.limit || node.offset;
+  if (hasClauses && range !== null && !node.sort) {
+    // Numbers are produced on demand, so huge ranges stay cheap
+    iterable = applyRangeClauses(node, options, data, scope, range);
+    range = Array.isArray(iterable) ? null : iterable;
+  } else if (hasClauses) {
+    if (range !== null) {
+      // Sorting needs every number at once
+      iterable = rangeToArray(range);
+      range = null;
+    }
+    const positions = applyLoopClauses(
+      node,
+      options,
+      data,
+      scope,
+      iterable,
+      keys,
+    );
+    iterable = positions.map((position) => iterable[position]);
+    if (keys !== null) {
+      keys = positions.map((position) => keys[position]);
+    } else if (groupPaths !== null) {
+      groupPaths = positions.map((position) => groupPaths[position]);
+    } else {
+      sourceIndices = positions;
+    }
+  }
+
+  // Render the $empty fallback in place of the items
+  if (iterable.length === 0 && node.empty) {
+    const rendered = renderNode(node.empty, options, data, scope);
+    if (rendered === EMPTY_OBJECT || rendered === undefined) {
+      return [];
+    }
+    return Array.isArray(rendered) ? rendered : [rendered];
   }
 
   // NUCLEAR OPTIMIZATION: Try hardcoded pattern recognition first
-  if (!node.indexVar) {
+  // (skipped in strict mode, which needs every variable read to be checked)
+  if (!node.indexVar && !options.reportMissing && range === null) {
     const nuclearResult = renderConditionalTestPatternNuclear(
       node,
       iterable,
@@ -1055,7 +1549,7 @@ const renderLoop = (node, options, data, scope) => {
   }
 
   // Try ultra-fast path first (for simple item.property patterns)
-  if (!node.indexVar) {
+  if (!node.indexVar && !options.reportMissing && range === null) {
     // Ultra-fast path doesn't support index variables yet
     const ultraResult = renderLoopUltraFast(node, iterable);
     if (ultraResult !== null) {
@@ -1063,30 +1557,26 @@ const renderLoop = (node, options, data, scope) => {
     }
   }
 
-  // Try regular fast path
-  const fastResult = renderLoopFastPath(node, options, data, scope, iterable);
-  if (fastResult !== null) {
-    return fastResult;
+  // Try regular fast path (object, clause, range and group loops need the
+  // general path, which tracks keys and source paths and computes range items)
+  if (
+    keys === null &&
+    sourceIndices === null &&
+    range === null &&
+    groupPaths === null &&
+    itemPaths === null
+  ) {
+    const fastResult = renderLoopFastPath(node, options, data, scope, iterable);
+    if (fastResult !== null) {
+      return fastResult;
+    }
   }
 
   // Fall back to general path
   const results = [];
 
   // Get the path to the iterable
-  let iterablePath = node.iterable.path || "";
-
-  // If the iterable references a loop variable, resolve its full path
-  if (scope && scope.__paths__ && iterablePath) {
-    const parts = iterablePath.split(".");
-    const base = parts[0];
-    if (base in scope.__paths__) {
-      // Replace the base with its full path
-      iterablePath = scope.__paths__[base];
-      if (parts.length > 1) {
-        iterablePath += "." + parts.slice(1).join(".");
-      }
-    }
-  }
+  const iterablePath = resolveIterablePath(node, scope);
 
   // Fastest possible: check array preservation once and cache result
   let shouldPreserveArray = false;
@@ -1109,22 +1599,39 @@ const renderLoop = (node, options, data, scope) => {
   }
 
   for (let i = 0; i < iterable.length; i++) {
+    const index = keys === null ? i : keys[i];
+    const item = range === null ? iterable[i] : range.start + i * range.step;
+
     // Use spread operator instead of Object.create for better performance
     const newScope = node.indexVar
-      ? { ...scope, [node.itemVar]: iterable[i], [node.indexVar]: i }
-      : { ...scope, [node.itemVar]: iterable[i] };
+      ? { ...scope, [node.itemVar]: item, [node.indexVar]: index }
+      : { ...scope, [node.itemVar]: item };
+    if (node.usesLoopMeta) {
+      newScope.$loop = createLoopMeta(i, iterable.length, scope.$loop);
+    }
 
     // Add path tracking for path references
     // Always track paths in loops since we might encounter path references in the body
     if (!newScope.__paths__) {
       newScope.__paths__ = scope.__paths__ || {};
     }
+    const sourceIndex = sourceIndices === null ? i : sourceIndices[i];
     newScope.__paths__ = {
       ...newScope.__paths__,
-      [node.itemVar]: `${iterablePath}[${i}]`,
+      [node.itemVar]:
+        groupPaths !== null
+          ? null
+          : itemPaths !== null
+            ? itemPaths[sourceIndex]
+            : keys === null
+              ? `${iterablePath}[${sourceIndex}]`
+              : appendPathKey(iterablePath, index),
     };
+    if (groupPaths !== null) {
+      newScope.__paths__[`${node.itemVar}.items`] = groupPaths[i];
+    }
     if (node.indexVar) {
-      newScope.__paths__[node.indexVar] = i;
+      newScope.__paths__[node.indexVar] = index;
     }
 
     const rendered = renderNode(node.body, options, data, newScope);
@@ -1147,12 +1654,378 @@ const renderLoop = (node, options, data, scope) => {
   return results;
 };
 
+/**
+ * Resolves the data path of a loop iterable, replacing a loop variable at its
+ * start with the path of the item it holds
+ * @param {Object} node - Loop AST node
+ * @param {Object} scope - Current scope
+ * @returns {string} Path like "users[2].posts", or "" for computed iterables
+ */
+const resolveIterablePath = (node, scope) => {
+  let iterablePath = node.iterable.path || "";
+
+  // If the iterable references a loop variable, resolve its full path
+  if (scope && scope.__paths__ && iterablePath) {
+    const parts = iterablePath.split(".");
+    const base = parts[0];
+    if (base in scope.__paths__) {
+      // Replace the base with its full path
+      iterablePath = scope.__paths__[base];
+      if (parts.length > 1) {
+        iterablePath += "." + parts.slice(1).join(".");
+      }
+    }
+  }
+
+  return iterablePath;
+};
+
+/**
+ * Returns the original paths of the items when a loop iterates the `items`
+ * of a `group by` group, like `$for o in group.items`
+ * @param {Object} node - Loop AST node
+ * @param {Object} scope - Current scope
+ * @returns {Array<string>|null} Path of each item, or null for other iterables
+ */
+const getGroupItemPaths = (node, scope) => {
+  const paths =
+    scope.__paths__ && node.iterable.path
+      ? scope.__paths__[node.iterable.path]
+      : undefined;
+  return Array.isArray(paths) ? paths : null;
+};
+
+/**
+ * Groups loop items by the `group by` expression, after filtering them with
+ * `where`. Both read each item as the loop variable.
+ * Groups are ordered by the first item of each.
+ * @param {Object} node - Loop AST node
+ * @param {Object} options - Render options
+ * @param {Object} data - Current data context
+ * @param {Object} scope - Current scope
+ * @param {Array} items - Items to group
+ * @param {Array<string>|null} keys - Keys when iterating an object
+ * @param {Array<string>|null} itemPaths - Original item paths, when the items came from a group
+ * @returns {{groups: Array<{key: any, items: Array}>, paths: Array<Array<string>>}} Groups and the paths of their items
+ */
+const groupLoopItems = (node, options, data, scope, items, keys, itemPaths) => {
+  const { expression } = node.groupBy;
+  const iterablePath =
+    itemPaths === null ? resolveIterablePath(node, scope) : "";
+  const groups = new Map();
+
+  for (let position = 0; position < items.length; position++) {
+    const itemScope = { ...scope, [node.itemVar]: items[position] };
+    if (node.indexVar) {
+      itemScope[node.indexVar] = keys === null ? position : keys[position];
+    }
+    if (
+      node.where &&
+      !evaluateCondition(node.where, options, data, itemScope)
+    ) {
+      continue;
+    }
+
+    const key = evaluateCondition(expression, options, data, itemScope);
+    let group = groups.get(key);
+    if (!group) {
+      group = { key, items: [], paths: [] };
+      groups.set(key, group);
+    }
+    group.items.push(items[position]);
+    group.paths.push(
+      itemPaths !== null
+        ? itemPaths[position]
+        : keys === null
+          ? `${iterablePath}[${position}]`
+          : appendPathKey(iterablePath, keys[position]),
+    );
+  }
+
+  const result = { groups: [], paths: [] };
+  for (const { key, items: groupItems, paths } of groups.values()) {
+    result.groups.push({ key, items: groupItems });
+    result.paths.push(paths);
+  }
+  return result;
+};
+
+// Range nodes built for range() calls, keyed by the call node
+const builtinRanges = new WeakMap();
+
+/**
+ * Turns a range(end), range(start, end) or range(start, end, step) call into
+ * a range node, unless a custom `range` function is registered
+ * @param {Object} node - Loop iterable AST node
+ * @param {Object} options - Render options
+ * @returns {Object|null} Range AST node, or null when the built-in range does not apply
+ * @throws {JemplRenderError} When range() gets the wrong number of arguments
+ */
+const builtinRangeCall = (node, options) => {
+  if (node.type !== NodeType.FUNCTION || node.name !== "range") {
+    return null;
+  }
+  const functions = options.functions || options;
+  if (functions.range) {
+    return null;
+  }
+  if (node.args.length < 1 || node.args.length > 3) {
+    throw withNodeLocation(
+      new JemplRenderError(
+        `range() takes 1 to 3 arguments: range(end), range(start, end) or range(start, end, step) (got: ${node.args.length})`,
+        ErrorCode.LOOP_INVALID_RANGE,
+        { arguments: node.args.length },
+      ),
+      node,
+    );
+  }
+  let rangeNode = builtinRanges.get(node);
+  if (!rangeNode) {
+    const [start, end, step] =
+      node.args.length === 1
+        ? [{ type: NodeType.LITERAL, value: 0 }, node.args[0]]
+        : node.args;
+    rangeNode = {
+      type: NodeType.RANGE,
+      start,
+      end,
+      step: step || null,
+      inclusive: false,
+    };
+    copyTemplateLocation(node, rangeNode);
+    builtinRanges.set(node, rangeNode);
+  }
+  return rangeNode;
+};
+
+/**
+ * Evaluates the bounds of a range node
+ * @param {Object} node - Range AST node
+ * @param {Object} options - Render options
+ * @param {Object} data - Current data context
+ * @param {Object} scope - Current scope
+ * @returns {{start: number, step: number, length: number}} Item i is start + i * step
+ * @throws {JemplRenderError} When a bound is not a finite number or the step is 0
+ */
+const evaluateRange = (node, options, data, scope) => {
+  const evaluateBound = (boundNode, name) => {
+    const value = evaluateCondition(boundNode, options, data, scope);
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      throw withNodeLocation(
+        new JemplRenderError(
+          `Range ${name} must be a number (got: ${JSON.stringify(value) ?? "undefined"})`,
+          ErrorCode.LOOP_INVALID_RANGE,
+          { bound: name, value },
+        ),
+        node,
+      );
+    }
+    return value;
+  };
+
+  const start = evaluateBound(node.start, "start");
+  const end = evaluateBound(node.end, "end");
+  const step = node.step === null ? 1 : evaluateBound(node.step, "step");
+  if (step === 0) {
+    throw withNodeLocation(
+      new JemplRenderError(
+        "Range step cannot be 0",
+        ErrorCode.LOOP_INVALID_RANGE,
+        { bound: "step", value: step },
+      ),
+      node,
+    );
+  }
+
+  const span = (end - start) / step;
+  const length = node.inclusive ? Math.floor(span) + 1 : Math.ceil(span);
+  return { start, step, length: Math.max(0, length) };
+};
+
+/**
+ * Materializes an evaluated range, for loop clauses and ranges used as values
+ */
+const rangeToArray = ({ start, step, length }) =>
+  Array.from({ length }, (_, i) => start + i * step);
+
+/**
+ * Evaluates the where / limit / offset clauses of a range loop without
+ * materializing the range: limit and offset narrow the range, and where is
+ * evaluated one number at a time until the limit is reached
+ * @param {Object} node - Loop AST node
+ * @param {Object} options - Render options
+ * @param {Object} data - Current data context
+ * @param {Object} scope - Scope around the loop
+ * @param {{start: number, step: number, length: number}} range - Evaluated range
+ * @returns {Object|Array<number>} The narrowed range, or the matching numbers with where
+ */
+const applyRangeClauses = (node, options, data, scope, range) => {
+  const offset = node.offset
+    ? evaluateLoopCount(node, node.offset, "offset", options, data, scope)
+    : 0;
+  const limit = node.limit
+    ? evaluateLoopCount(node, node.limit, "limit", options, data, scope)
+    : Infinity;
+
+  if (!node.where) {
+    return {
+      start: range.start + offset * range.step,
+      step: range.step,
+      length: Math.max(0, Math.min(limit, range.length - offset)),
+    };
+  }
+
+  const values = [];
+  let skipped = 0;
+  for (let i = 0; i < range.length && values.length < limit; i++) {
+    const value = range.start + i * range.step;
+    const itemScope = node.indexVar
+      ? { ...scope, [node.itemVar]: value, [node.indexVar]: i }
+      : { ...scope, [node.itemVar]: value };
+    if (!evaluateCondition(node.where, options, data, itemScope)) {
+      continue;
+    }
+    if (skipped < offset) {
+      skipped++;
+      continue;
+    }
+    values.push(value);
+  }
+  return values;
+};
+
+/**
+ * Evaluates the where / sort by / limit / offset clauses of a loop
+ * @param {Object} node - Loop AST node
+ * @param {Object} options - Render options
+ * @param {Object} data - Current data context
+ * @param {Object} scope - Scope around the loop
+ * @param {Array} items - Items of the iterable
+ * @param {Array<string>|null} keys - Keys when iterating an object
+ * @returns {Array<number>} Positions in `items` of the items to render, in order
+ */
+const applyLoopClauses = (node, options, data, scope, items, keys) => {
+  // where and sort by see the original index, the body the renumbered one
+  const itemScope = (position) =>
+    node.indexVar
+      ? {
+          ...scope,
+          [node.itemVar]: items[position],
+          [node.indexVar]: keys === null ? position : keys[position],
+        }
+      : { ...scope, [node.itemVar]: items[position] };
+
+  let positions = items.map((item, position) => position);
+
+  // With `group by`, where filters the items before grouping instead
+  if (node.where && !node.groupBy) {
+    positions = positions.filter((position) =>
+      evaluateCondition(node.where, options, data, itemScope(position)),
+    );
+  }
+
+  if (node.sort) {
+    // Evaluate every sort key once per item, then sort stably
+    const sortValues = new Map();
+    for (const position of positions) {
+      const positionScope = itemScope(position);
+      sortValues.set(
+        position,
+        node.sort.map(({ expression }) =>
+          evaluateCondition(expression, options, data, positionScope),
+        ),
+      );
+    }
+    positions.sort((a, b) => {
+      for (let i = 0; i < node.sort.length; i++) {
+        const order = compareSortValues(
+          sortValues.get(a)[i],
+          sortValues.get(b)[i],
+          node.sort[i].descending,
+        );
+        if (order !== 0) return order;
+      }
+      return 0;
+    });
+  }
+
+  const offset = node.offset
+    ? evaluateLoopCount(node, node.offset, "offset", options, data, scope)
+    : 0;
+  const limit = node.limit
+    ? evaluateLoopCount(node, node.limit, "limit", options, data, scope)
+    : positions.length;
+
+  return positions.slice(offset, offset + limit);
+};
+
+/**
+ * Orders two sort values. Numbers compare numerically, everything else as
+ * strings, and null or undefined always sort last.
+ */
+const compareSortValues = (left, right, descending) => {
+  if (left === right) return 0;
+  if (left == null) return 1;
+  if (right == null) return -1;
+  let order;
+  if (typeof left === "number" && typeof right === "number") {
+    order = left - right;
+  } else {
+    const leftText = String(left);
+    const rightText = String(right);
+    order = leftText < rightText ? -1 : leftText > rightText ? 1 : 0;
+  }
+  return descending ? -order : order;
+};
+
+/**
+ * Evaluates a limit or offset clause, which must be a non-negative integer
+ */
+const evaluateLoopCount = (node, expression, clause, options, data, scope) => {
+  const value = evaluateCondition(expression, options, data, scope);
+  if (!Number.isInteger(value) || value < 0) {
+    throw withNodeLocation(
+      new JemplRenderError(
+        `Loop ${clause} must be a non-negative integer (got: ${JSON.stringify(value) ?? "undefined"})`,
+        ErrorCode.LOOP_INVALID_CLAUSE,
+        { clause, value },
+      ),
+      node,
+    );
+  }
+  return value;
+};
+
+/**
+ * Checks for objects created by literals, JSON or YAML, which loops iterate
+ * by key. Class instances like Date and Map are not plain objects.
+ */
+const isPlainObject = (value) => {
+  if (value === null || typeof value !== "object") {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * Appends an object key to a path reference path: "settings.en", or
+ * 'settings["en-US"]' for keys that are not identifiers
+ */
+const appendPathKey = (path, key) => {
+  if (/^[a-zA-Z_$][\w$]*$/.test(key)) {
+    return path ? `${path}.${key}` : key;
+  }
+  return `${path}[${JSON.stringify(key)}]`;
+};
+
 /**
  * Ultra-fast path for deeply nested static structures (todo app pattern)
  */
 const renderObjectDeepUltraFast = (node, options, data, scope) => {
   // Skip if this node has a whenCondition - let the main path handle it
-  if (node.whenCondition) {
+  // Also skip in strict mode, inlined variable reads bypass missing-variable checks
+  if (node.whenCondition || options.reportMissing) {
     return null;
   }
 
@@ -1265,14 +2138,11 @@ const renderObjectDeepUltraFast = (node, options, data, scope) => {
  * Renders objects
  */
 const renderObject = (node, options, data, scope) => {
-  // Extract functions from options (for backward compatibility, options might be functions directly)
-  const functions = options.functions || options;
-
   // Check $when condition first
   if (node.whenCondition) {
     const conditionResult = evaluateCondition(
       node.whenCondition,
-      functions,
+      options,
       data,
       scope,
     );
@@ -1289,7 +2159,7 @@ const renderObject = (node, options, data, scope) => {
   }
 
   // Fast path for simple objects with only variables/literals (most common case)
-  if (node.fast) {
+  if (node.fast && !options.reportMissing) {
     const result = {};
     for (const prop of node.properties) {
       // Handle parsed keys (keys with variables) in fast path
@@ -1330,6 +2200,8 @@ const renderObject = (node, options, data, scope) => {
   let conditionalResult = null;
   let hasNonConditionalProperties = false;
 
+  let hasMergedConditional = false;
+
   // Check if this object has only conditional properties
   for (const prop of node.properties) {
     if (
@@ -1337,7 +2209,8 @@ const renderObject = (node, options, data, scope) => {
       !prop.key.match(/^\$if\s+\w+.*:?$/) &&
       !prop.key.startsWith("$elif") &&
       !prop.key.startsWith("$else") &&
-      !prop.key.startsWith("$for ")
+      !prop.key.startsWith("$for ") &&
+      prop.value.type !== NodeType.SWITCH
     ) {
       hasNonConditionalProperties = true;
       break;
@@ -1345,14 +2218,19 @@ const renderObject = (node, options, data, scope) => {
   }
 
   for (const prop of node.properties) {
-    if (prop.key.startsWith("$if ") || prop.key.match(/^\$if\s+\w+.*:?$/)) {
+    if (
+      prop.key.startsWith("$if ") ||
+      prop.key.match(/^\$if\s+\w+.*:?$/) ||
+      prop.value.type === NodeType.SWITCH
+    ) {
       const rendered = renderNode(prop.value, options, data, scope);
 
       // If object has only conditionals and the result is non-object, replace the entire object
       if (
         !hasNonConditionalProperties &&
         rendered !== null &&
-        rendered !== undefined
+        rendered !== undefined &&
+        (typeof rendered !== "object" || Array.isArray(rendered))
       ) {
         // If the result is an array with a single item, unwrap it
         if (Array.isArray(rendered) && rendered.length === 1) {
@@ -1361,13 +2239,25 @@ const renderObject = (node, options, data, scope) => {
         return rendered;
       }
 
-      // Otherwise merge rendered object into result
+      // Otherwise merge rendered object into result, so every $if#id and
+      // $switch#id of the object contributes
       if (
         typeof rendered === "object" &&
         rendered !== null &&
+        rendered !== EMPTY_OBJECT &&
         !Array.isArray(rendered)
       ) {
         Object.assign(result, rendered);
+        hasMergedConditional = true;
+      }
+    } else if (
+      prop.value.type === NodeType.SPREAD ||
+      prop.value.type === NodeType.ENTRIES
+    ) {
+      // Spread properties in place, so later keys override them
+      const spread = renderNode(prop.value, options, data, scope);
+      for (const key of Object.keys(spread)) {
+        setOwnProperty(result, key, spread[key]);
       }
     } else if (prop.key.startsWith("$for ")) {
       // This is a direct loop property - handle it specially
@@ -1417,9 +2307,120 @@ const renderObject = (node, options, data, scope) => {
     }
   }
 
+  // An object of conditionals that all failed is skipped in arrays
+  if (!hasNonConditionalProperties && !hasMergedConditional) {
+    return EMPTY_OBJECT;
+  }
+
+  return result;
+};
+
+/**
+ * Renders `$let` bindings once, in order so each can use the ones before it,
+ * then renders the object with them in scope. Siblings keep the outer scope.
+ */
+const renderLet = (node, options, data, scope) => {
+  const letScope = { ...scope };
+  for (const { name, value } of node.bindings) {
+    letScope[name] = renderNode(value, options, data, letScope);
+  }
+  return renderNode(node.body, options, data, letScope);
+};
+
+/**
+ * Renders the object of a `$spread` property. null and undefined spread
+ * nothing, so optional attribute bags need no `$if`.
+ * @throws {JemplRenderError} When the value is not a plain object
+ */
+const renderSpread = (node, options, data, scope) => {
+  const value = renderNode(node.value, options, data, scope);
+  if (value === null || value === undefined) {
+    return {};
+  }
+  if (!isPlainObject(value)) {
+    throw withNodeLocation(
+      new JemplRenderError(
+        `$spread value must be an object (got: ${Array.isArray(value) ? "array" : typeof value})`,
+        ErrorCode.SPREAD_NOT_OBJECT,
+        { gotType: Array.isArray(value) ? "array" : typeof value },
+      ),
+      node.value,
+    );
+  }
+  return value;
+};
+
+/**
+ * Builds an object from the entries of an `$entries` property: `{ key, value }`
+ * objects (like the stdlib `entries` function returns) or `[key, value]`
+ * pairs. null and undefined add nothing, and later entries override earlier
+ * ones with the same key.
+ * @throws {JemplRenderError} When the value is not an array of entries or a key is not a string or number
+ */
+const renderEntries = (node, options, data, scope) => {
+  const value = renderNode(node.value, options, data, scope);
+  if (value === null || value === undefined) {
+    return {};
+  }
+
+  const fail = (message, details) =>
+    withNodeLocation(
+      new JemplRenderError(message, ErrorCode.ENTRIES_INVALID_VALUE, details),
+      node.value,
+    );
+  if (!Array.isArray(value)) {
+    throw fail(
+      `$entries value must be an array of entries (got: ${typeof value})`,
+      { gotType: typeof value },
+    );
+  }
+
+  const result = {};
+  for (let i = 0; i < value.length; i++) {
+    const entry = value[i];
+    let key;
+    let entryValue;
+    if (Array.isArray(entry) && entry.length === 2) {
+      [key, entryValue] = entry;
+    } else if (isPlainObject(entry) && "key" in entry) {
+      ({ key, value: entryValue } = entry);
+    } else {
+      throw fail(
+        `$entries item ${i} must be a { key, value } object or a [key, value] pair (got: ${JSON.stringify(entry) ?? "undefined"})`,
+        { index: i, entry },
+      );
+    }
+    if (typeof key !== "string" && typeof key !== "number") {
+      throw fail(
+        `$entries key must be a string or number (got: ${JSON.stringify(key) ?? "undefined"} at item ${i})`,
+        { index: i, key },
+      );
+    }
+    setOwnProperty(result, key, entryValue);
+  }
   return result;
 };
 
+/**
+ * Sets a property as an own data property, so a "__proto__" key from the
+ * data becomes a plain key instead of replacing the prototype
+ * @param {Object} target - Object to set the property on
+ * @param {string|number} key - Property key
+ * @param {any} value - Property value
+ */
+const setOwnProperty = (target, key, value) => {
+  if (key === "__proto__") {
+    Object.defineProperty(target, key, {
+      value,
+      enumerable: true,
+      writable: true,
+      configurable: true,
+    });
+  } else {
+    target[key] = value;
+  }
+};
+
 // Empty object marker for better performance than Object.keys() check
 const EMPTY_OBJECT = {};
 
@@ -1430,7 +2431,15 @@ const renderArray = (node, options, data, scope) => {
   const results = [];
 
   for (const item of node.items) {
-    if (item.type === NodeType.LOOP) {
+    if (item.type === NodeType.SLOT || item.type === NodeType.BLOCK) {
+      // Slot and block content arrays are flattened into the parent array
+      const rendered = renderNode(item, options, data, scope);
+      if (Array.isArray(rendered)) {
+        results.push(...rendered);
+      } else if (rendered !== EMPTY_OBJECT && rendered !== undefined) {
+        results.push(rendered);
+      }
+    } else if (item.type === NodeType.LOOP) {
       // Check if loop should be flattened (default) or nested
       const loopResults = renderNode(item, options, data, scope);
       if (Array.isArray(loopResults) && item.flatten !== false) {
@@ -1454,6 +2463,58 @@ const renderArray = (node, options, data, scope) => {
   return results;
 };
 
+/**
+ * Resolves the name of the partial to render: evaluates `${...}` names and
+ * falls back to the `$fallback` partial when the name is not registered
+ * @param {Object} node - Partial AST node
+ * @param {Object} options - Contains functions and partials
+ * @param {Object} data - Current data context
+ * @param {Object} scope - Current scope
+ * @returns {string} Name of a registered partial
+ */
+const resolvePartialName = (node, options, data, scope) => {
+  const partials = options.partials || {};
+  let name = node.name;
+  if (node.nameExpression) {
+    const value = renderNode(node.nameExpression, options, data, scope);
+    if (
+      (typeof value !== "string" && typeof value !== "number") ||
+      String(value).trim() === ""
+    ) {
+      throw withNodeLocation(
+        new JemplRenderError(
+          `$partial '${node.name}' must resolve to a partial name (got: ${value === null ? "null" : value === "" ? "empty string" : typeof value})`,
+          ErrorCode.PARTIAL_INVALID_NAME,
+          { partial: node.name, value },
+        ),
+        node,
+      );
+    }
+    name = String(value);
+  }
+
+  if (partials[name]) {
+    return name;
+  }
+  if (node.fallback && partials[node.fallback]) {
+    return node.fallback;
+  }
+
+  const missing = node.fallback ?? name;
+  const suggestion = findClosestName(missing, Object.keys(partials));
+  const resolvedFrom = node.nameExpression ? ` (from '${node.name}')` : "";
+  throw withNodeLocation(
+    new JemplRenderError(
+      node.fallback
+        ? `Partial '${name}'${resolvedFrom} and its fallback '${node.fallback}' are not defined${formatSuggestion(suggestion)}`
+        : `Partial '${name}'${resolvedFrom} is not defined${formatSuggestion(suggestion)}`,
+      ErrorCode.PARTIAL_UNDEFINED,
+      { partial: name, fallback: node.fallback, suggestion },
+    ),
+    node,
+  );
+};
+
 /**
  * Renders a partial node
  * @param {Object} node - Partial AST node
@@ -1463,15 +2524,14 @@ const renderArray = (node, options, data, scope) => {
  * @returns {any} rendered partial
  */
 const renderPartial = (node, options, data, scope) => {
-  const { name, data: partialData, whenCondition } = node;
+  const { data: partialData, whenCondition } = node;
   const partials = options.partials || {};
-  const functions = options.functions || options;
 
   // Check $when condition if present
   if (whenCondition) {
     const conditionResult = evaluateCondition(
       whenCondition,
-      functions,
+      options,
       data,
       scope,
     );
@@ -1481,28 +2541,41 @@ const renderPartial = (node, options, data, scope) => {
     }
   }
 
-  // Check if partial exists
-  if (!partials[name]) {
-    throw new JemplRenderError(`Partial '${name}' is not defined`);
-  }
+  const name = resolvePartialName(node, options, data, scope);
 
   // Check for circular references
   const partialStack = scope._partialStack || [];
   if (partialStack.includes(name)) {
-    throw new JemplRenderError(`Circular partial reference detected: ${name}`);
+    throw withNodeLocation(
+      new JemplRenderError(
+        `Circular partial reference detected: ${name}`,
+        ErrorCode.PARTIAL_CIRCULAR,
+        { partial: name, stack: [...partialStack, name] },
+      ),
+      node,
+    );
   }
 
   // Get the partial template
   const partialTemplate = partials[name];
 
+  // Isolated partials only see their inline data and the declared globals
+  const isolated =
+    partialTemplate.isolated ?? options.partialScope === "isolated";
+
   // Prepare the context for the partial
-  let partialContext = data;
-  // Preserve scope but add the partial stack
-  let partialScope = { ...scope, _partialStack: [...partialStack, name] };
+  let partialContext = isolated ? options.globals : data;
+  // Preserve scope but add the partial stack, and the slot content with the
+  // caller's context to render it in
+  let partialScope = {
+    ...(isolated ? undefined : scope),
+    _partialStack: [...partialStack, name],
+    _slots: node.slots ? { content: node.slots, data, scope } : undefined,
+  };
 
   // Merge scope variables (like loop variables) into the context
   // This ensures loop variables like 'i' and 'item' are available in the partial
-  if (scope) {
+  if (scope && !isolated) {
     partialContext = { ...data };
     for (const key of Object.keys(scope)) {
       if (!key.startsWith("_")) {
@@ -1517,10 +2590,167 @@ const renderPartial = (node, options, data, scope) => {
     partialContext = { ...partialContext, ...renderedData };
   }
 
+  // Check the declared params and fill in their defaults
+  if (partialTemplate.type === NodeType.PARAMS) {
+    return renderNode(
+      partialTemplate.body,
+      options,
+      applyParams(partialTemplate, options, partialContext, partialScope, {
+        node,
+        name,
+      }),
+      partialScope,
+    );
+  }
+
   // Render the partial template with the merged context
   return renderNode(partialTemplate, options, partialContext, partialScope);
 };
 
+/**
+ * Checks data against the `$params` of a template and fills in defaults
+ * @param {Object} node - Params AST node
+ * @param {Object} options - Contains functions and partials
+ * @param {Object} data - Data the template renders with
+ * @param {Object} scope - Current scope
+ * @param {{node: Object, name: string}} [call] - Partial call site and resolved name, for errors
+ * @returns {Object} Data with the defaults of missing params
+ * @throws {JemplRenderError} When a required param is missing or a value has the wrong type
+ */
+const applyParams = (node, options, data, scope, call) => {
+  const owner = call ? `partial '${call.name}'` : "the template";
+  const fail = (message, code, details) => {
+    throw withNodeLocation(
+      new JemplRenderError(message, code, {
+        partial: call?.name,
+        ...details,
+      }),
+      call ? call.node : node,
+    );
+  };
+
+  let result = data;
+  for (const param of node.params) {
+    let value =
+      data !== null && typeof data === "object" ? data[param.name] : undefined;
+    if (value === undefined) {
+      if (param.required) {
+        fail(
+          `Missing required param '${param.name}' of ${owner}`,
+          ErrorCode.PARAM_MISSING,
+          { param: param.name },
+        );
+      }
+      if (!param.default) {
+        continue;
+      }
+      value = renderNode(param.default, options, data, scope);
+      result = { ...result, [param.name]: value };
+    }
+
+    const gotType = getParamType(value);
+    if (param.type && gotType !== param.type) {
+      fail(
+        `Param '${param.name}' of ${owner} must be ${formatParamType(param.type)} (got: ${gotType})`,
+        ErrorCode.PARAM_INVALID_TYPE,
+        { param: param.name, expected: param.type, gotType },
+      );
+    }
+  }
+  return result;
+};
+
+/**
+ * Renders a `$slot` placeholder with the content the partial's caller filled
+ * in, rendered in the caller's context. Falls back to the `$fallback` content,
+ * or renders nothing.
+ * @param {Object} node - Slot AST node
+ * @param {Object} options - Contains functions and partials
+ * @param {Object} data - Current data context
+ * @param {Object} scope - Current scope
+ * @returns {any} rendered slot content
+ */
+const renderSlot = (node, options, data, scope) => {
+  const slots = scope._slots;
+  if (slots && Object.hasOwn(slots.content, node.name)) {
+    return renderNode(
+      slots.content[node.name],
+      options,
+      slots.data,
+      slots.scope,
+    );
+  }
+  if (node.fallback) {
+    return renderNode(node.fallback, options, data, scope);
+  }
+  return undefined;
+};
+
+// Extends node -> { partials, ast }, so a template is resolved once per set of partials
+const resolvedExtends = new WeakMap();
+
+/**
+ * Puts the blocks of an Extends node into its base template, a parsed
+ * partial, for templates whose base was not known at parse time
+ * @param {Object} node - Extends AST node
+ * @param {Object} partials - Parsed partial ASTs
+ * @param {Array<string>} stack - Base templates being resolved, to detect cycles
+ * @returns {Object} Single AST for the template
+ */
+const resolveExtendsNode = (node, partials, stack) => {
+  const cached = resolvedExtends.get(node);
+  if (cached && cached.partials === partials) {
+    return cached.ast;
+  }
+
+  const { name, blocks } = node;
+  if (!partials[name]) {
+    const suggestion = findClosestName(name, Object.keys(partials));
+    throw withNodeLocation(
+      new JemplRenderError(
+        `Base template '${name}' of $extends is not defined${formatSuggestion(suggestion)}`,
+        ErrorCode.PARTIAL_UNDEFINED,
+        { partial: name, suggestion },
+      ),
+      node,
+    );
+  }
+  if (stack.includes(name)) {
+    const cycle = [...stack, name];
+    throw withNodeLocation(
+      new JemplRenderError(
+        `Circular $extends detected: ${cycle.join(" -> ")}`,
+        ErrorCode.PARTIAL_CIRCULAR,
+        { partial: name, stack: cycle },
+      ),
+      node,
+    );
+  }
+
+  let baseAst = partials[name];
+  if (baseAst.type === NodeType.EXTENDS) {
+    baseAst = resolveExtendsNode(baseAst, partials, [...stack, name]);
+  }
+  const blockNames = collectBlockNames(baseAst);
+  for (const block of Object.keys(blocks)) {
+    if (!blockNames.includes(block)) {
+      const suggestion = findClosestName(block, blockNames);
+      throw withNodeLocation(
+        new JemplRenderError(
+          `Block '${block}' is not defined in '${name}'${formatSuggestion(suggestion)}`,
+          ErrorCode.BLOCK_UNDEFINED,
+          { block, extends: name, suggestion },
+        ),
+        node,
+      );
+    }
+  }
+
+  const ast = resolveExtends(node, baseAst);
+  resolvedExtends.set(node, { partials, ast });
+  return ast;
+};
+
 /**
  * Renders a path reference node
  * @param {Object} node - Path reference AST node
@@ -1539,8 +2769,18 @@ const renderPathReference = (node, options, data, scope) => {
 
   // Check if it's in scope (loop variable)
   if (!scope || !(base in scope)) {
-    throw new JemplRenderError(
-      `Path reference '#{${path}}' refers to '${base}' which is not a loop variable in the current scope`,
+    // Loop variables, without internal scope keys like __paths__
+    const suggestion = findClosestName(
+      base,
+      Object.keys(scope || {}).filter((key) => !key.startsWith("_")),
+    );
+    throw withNodeLocation(
+      new JemplRenderError(
+        `Path reference '#{${path}}' refers to '${base}' which is not a loop variable in the current scope${formatSuggestion(suggestion)}`,
+        ErrorCode.PATH_REFERENCE_NOT_IN_SCOPE,
+        { expression: path, variable: base, suggestion },
+      ),
+      node,
     );
   }
 
@@ -1554,19 +2794,41 @@ const renderPathReference = (node, options, data, scope) => {
   // Check if we have the path for this variable
   if (!(base in scope.__paths__)) {
     // This shouldn't happen in normal operation but handle gracefully
-    throw new JemplRenderError(
-      `Path reference '#{${path}}' cannot be resolved - path tracking may not be initialized properly`,
+    throw withNodeLocation(
+      new JemplRenderError(
+        `Path reference '#{${path}}' cannot be resolved - path tracking may not be initialized properly`,
+        ErrorCode.PATH_REFERENCE_UNRESOLVED,
+        { expression: path, variable: base },
+      ),
+      node,
     );
   }
 
   // Get the base path
   let fullPath = scope.__paths__[base];
 
+  // `group by` groups are built while rendering and are not in the data
+  if (fullPath === null) {
+    throw withNodeLocation(
+      new JemplRenderError(
+        `Path reference '#{${path}}' refers to a 'group by' group, which is not part of the data - reference the items of the group instead`,
+        ErrorCode.PATH_REFERENCE_UNRESOLVED,
+        { expression: path, variable: base },
+      ),
+      node,
+    );
+  }
+
   // Handle index variables specially - they should return just the number
   if (typeof fullPath === "number") {
     if (properties.length > 0) {
-      throw new JemplRenderError(
-        `Path reference '#{${path}}' - cannot access properties on index variable '${base}'`,
+      throw withNodeLocation(
+        new JemplRenderError(
+          `Path reference '#{${path}}' - cannot access properties on index variable '${base}'`,
+          ErrorCode.PATH_REFERENCE_INDEX_PROPERTY,
+          { expression: path, variable: base },
+        ),
+        node,
       );
     }
     return String(fullPath);
@@ -0,0 +1,410 @@
+/**
+ * Opt-in standard library of pure template functions.
+ *
+ * Nothing here is registered automatically. Merge the helpers you need into
+ * `options.functions`:
+ *
+ * @example
+ * import * as stdlib from "jempl/stdlib";
+ * parseAndRender(template, data, { functions: { ...stdlib, ...myFunctions } });
+ *
+ * @example
+ * // Import only what you use so bundlers can drop the rest
+ * import { upper, join } from "jempl/stdlib";
+ * parseAndRender(template, data, { functions: { upper, join } });
+ *
+ * Helpers never mutate their inputs and never throw on unexpected types:
+ * string helpers treat null and undefined as "", array helpers treat
+ * non-arrays as [], and object helpers treat non-objects as {}.
+ */
+
+const toText = (value) =>
+  value === null || value === undefined ? "" : String(value);
+
+const toArray = (value) => (Array.isArray(value) ? value : []);
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const toObject = (value) => (isPlainObject(value) ? value : {});
+
+const getPath = (value, path) => {
+  let current = value;
+  for (const segment of toText(path).split(".")) {
+    if (current === null || current === undefined) {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+};
+
+// Strings
+
+/**
+ * Converts a value to upper case
+ * @param {any} value - Value to convert
+ * @returns {string}
+ */
+export const upper = (value) => toText(value).toUpperCase();
+
+/**
+ * Converts a value to lower case
+ * @param {any} value - Value to convert
+ * @returns {string}
+ */
+export const lower = (value) => toText(value).toLowerCase();
+
+/**
+ * Upper-cases the first character, leaving the rest unchanged
+ * @param {any} value - Value to convert
+ * @returns {string}
+ */
+export const capitalize = (value) => {
+  const text = toText(value);
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+/**
+ * Removes leading and trailing whitespace
+ * @param {any} value - Value to trim
+ * @returns {string}
+ */
+export const trim = (value) => toText(value).trim();
+
+/**
+ * Shortens text to at most `length` characters, ending with `suffix` when cut
+ * @param {any} value - Value to truncate
+ * @param {number} length - Maximum length, including the suffix
+ * @param {string} [suffix="..."] - Appended when the text is cut
+ * @returns {string}
+ */
+export const truncate = (value, length, suffix = "...") => {
+  const text = toText(value);
+  if (text.length <= length) {
+    return text;
+  }
+  return text.slice(0, Math.max(0, length - suffix.length)) + suffix;
+};
+
+/**
+ * Replaces every occurrence of `search` with `replacement`
+ * @param {any} value - Value to search in
+ * @param {string} search - Text to find (not a regular expression)
+ * @param {string} [replacement=""] - Replacement text
+ * @returns {string}
+ */
+export const replace = (value, search, replacement = "") =>
+  toText(value).split(toText(search)).join(toText(replacement));
+
+/**
+ * Splits text into an array
+ * @param {any} value - Value to split
+ * @param {string} [separator=","] - Separator text
+ * @returns {Array<string>} An empty array for empty text
+ */
+export const split = (value, separator = ",") => {
+  const text = toText(value);
+  return text === "" ? [] : text.split(separator);
+};
+
+/**
+ * Pads text on the left to the given length
+ * @param {any} value - Value to pad
+ * @param {number} length - Target length
+ * @param {string} [fill=" "] - Padding text
+ * @returns {string}
+ */
+export const padStart = (value, length, fill = " ") =>
+  toText(value).padStart(length, fill);
+
+/**
+ * Pads text on the right to the given length
+ * @param {any} value - Value to pad
+ * @param {number} length - Target length
+ * @param {string} [fill=" "] - Padding text
+ * @returns {string}
+ */
+export const padEnd = (value, length, fill = " ") =>
+  toText(value).padEnd(length, fill);
+
+// Numbers
+
+/**
+ * Rounds a number to the given number of decimals
+ * @param {any} value - Number to round
+ * @param {number} [decimals=0] - Decimal places
+ * @returns {number}
+ */
+export const round = (value, decimals = 0) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(Number(value) * factor) / factor;
+};
+
+/**
+ * Rounds a number down
+ * @param {any} value - Number to round
+ * @returns {number}
+ */
+export const floor = (value) => Math.floor(Number(value));
+
+/**
+ * Rounds a number up
+ * @param {any} value - Number to round
+ * @returns {number}
+ */
+export const ceil = (value) => Math.ceil(Number(value));
+
+/**
+ * Returns the absolute value of a number
+ * @param {any} value - Number
+ * @returns {number}
+ */
+export const abs = (value) => Math.abs(Number(value));
+
+/**
+ * Returns the smallest of the arguments, or of a single array argument
+ * @param {...any} values - Numbers, or one array of numbers
+ * @returns {number} Infinity when there are no values
+ */
+export const min = (...values) =>
+  Math.min(...(Array.isArray(values[0]) ? values[0] : values).map(Number));
+
+/**
+ * Returns the largest of the arguments, or of a single array argument
+ * @param {...any} values - Numbers, or one array of numbers
+ * @returns {number} -Infinity when there are no values
+ */
+export const max = (...values) =>
+  Math.max(...(Array.isArray(values[0]) ? values[0] : values).map(Number));
+
+/**
+ * Limits a number to the range [lower, upper]
+ * @param {any} value - Number to clamp
+ * @param {number} lower - Lower bound
+ * @param {number} upper - Upper bound
+ * @returns {number}
+ */
+export const clamp = (value, lower, upper) =>
+  Math.min(Math.max(Number(value), lower), upper);
+
+/**
+ * Formats a number with a fixed number of decimals
+ * @param {any} value - Number to format
+ * @param {number} [digits=0] - Decimal places
+ * @returns {string}
+ */
+export const fixed = (value, digits = 0) => Number(value).toFixed(digits);
+
+// Arrays
+
+/**
+ * Returns the length of a string or array, or the number of keys of an object
+ * @param {any} value - Value to measure
+ * @returns {number} 0 for any other value
+ */
+export const length = (value) => {
+  if (typeof value === "string" || Array.isArray(value)) {
+    return value.length;
+  }
+  return isPlainObject(value) ? Object.keys(value).length : 0;
+};
+
+/**
+ * Returns the first item of an array
+ * @param {any} value - Array
+ * @returns {any} undefined for empty arrays
+ */
+export const first = (value) => toArray(value)[0];
+
+/**
+ * Returns the last item of an array
+ * @param {any} value - Array
+ * @returns {any} undefined for empty arrays
+ */
+export const last = (value) => {
+  const items = toArray(value);
+  return items[items.length - 1];
+};
+
+/**
+ * Returns part of a string or array, like Array.prototype.slice
+ * @param {any} value - String or array
+ * @param {number} [start=0] - Start index, negative counts from the end
+ * @param {number} [end] - End index (exclusive)
+ * @returns {string|Array}
+ */
+export const slice = (value, start = 0, end) =>
+  typeof value === "string"
+    ? value.slice(start, end)
+    : toArray(value).slice(start, end);
+
+/**
+ * Joins array items into a string
+ * @param {any} value - Array
+ * @param {string} [separator=","] - Separator text
+ * @returns {string} null and undefined items become empty strings
+ */
+export const join = (value, separator = ",") =>
+  toArray(value).map(toText).join(separator);
+
+/**
+ * Returns a reversed copy of an array
+ * @param {any} value - Array
+ * @returns {Array}
+ */
+export const reverse = (value) => [...toArray(value)].reverse();
+
+/**
+ * Returns a sorted copy of an array, optionally by a property path.
+ * Numbers sort numerically, everything else by string comparison, and
+ * null or undefined sort last.
+ * @param {any} value - Array
+ * @param {string} [key] - Property path to sort by, like "user.name"
+ * @returns {Array}
+ */
+export const sort = (value, key) => {
+  const pick =
+    key === undefined ? (item) => item : (item) => getPath(item, key);
+  return [...toArray(value)].sort((a, b) => {
+    const left = pick(a);
+    const right = pick(b);
+    if (left === right) return 0;
+    if (left === null || left === undefined) return 1;
+    if (right === null || right === undefined) return -1;
+    if (typeof left === "number" && typeof right === "number") {
+      return left - right;
+    }
+    return String(left) < String(right)
+      ? -1
+      : String(left) > String(right)
+        ? 1
+        : 0;
+  });
+};
+
+/**
+ * Removes duplicate items, keeping the first occurrence
+ * @param {any} value - Array
+ * @returns {Array}
+ */
+export const unique = (value) => [...new Set(toArray(value))];
+
+/**
+ * Removes null, undefined, false and empty string items
+ * @param {any} value - Array
+ * @returns {Array}
+ */
+export const compact = (value) =>
+  toArray(value).filter(
+    (item) =>
+      item !== null && item !== undefined && item !== false && item !== "",
+  );
+
+/**
+ * Adds up the items of an array, optionally by a property path
+ * @param {any} value - Array
+ * @param {string} [key] - Property path to add up
+ * @returns {number}
+ */
+export const sum = (value, key) =>
+  toArray(value).reduce(
+    (total, item) =>
+      total + Number(key === undefined ? item : getPath(item, key)),
+    0,
+  );
+
+/**
+ * Checks whether a string contains text or an array contains an item
+ * @param {any} value - String or array
+ * @param {any} item - Text or item to find
+ * @returns {boolean}
+ */
+export const includes = (value, item) =>
+  typeof value === "string"
+    ? value.includes(toText(item))
+    : toArray(value).includes(item);
+
+// Objects
+
+/**
+ * Returns the own keys of an object
+ * @param {any} value - Object
+ * @returns {Array<string>}
+ */
+export const keys = (value) => Object.keys(toObject(value));
+
+/**
+ * Returns the own values of an object
+ * @param {any} value - Object
+ * @returns {Array}
+ */
+export const values = (value) => Object.values(toObject(value));
+
+/**
+ * Returns the entries of an object as `{ key, value }` items, ready for `$for`
+ * @param {any} value - Object
+ * @returns {Array<{key: string, value: any}>}
+ */
+export const entries = (value) =>
+  Object.entries(toObject(value)).map(([key, item]) => ({ key, value: item }));
+
+/**
+ * Reads a dot-separated property path
+ * @param {any} value - Object or array to read from
+ * @param {string} path - Property path, like "user.address.city" or "items.0"
+ * @param {any} [fallback] - Returned when the path resolves to null or undefined
+ * @returns {any}
+ */
+export const get = (value, path, fallback) => getPath(value, path) ?? fallback;
+
+/**
+ * Returns a copy of an object with only the given keys
+ * @param {any} value - Object
+ * @param {...string} names - Keys to keep
+ * @returns {Object}
+ */
+export const pick = (value, ...names) => {
+  const source = toObject(value);
+  const result = {};
+  for (const name of names) {
+    if (Object.hasOwn(source, name)) {
+      result[name] = source[name];
+    }
+  }
+  return result;
+};
+
+/**
+ * Returns a copy of an object without the given keys
+ * @param {any} value - Object
+ * @param {...string} names - Keys to drop
+ * @returns {Object}
+ */
+export const omit = (value, ...names) => {
+  const result = { ...toObject(value) };
+  for (const name of names) {
+    delete result[name];
+  }
+  return result;
+};
+
+// Values
+
+/**
+ * Returns the fallback when a value is null, undefined or an empty string
+ * (`default` is a reserved word in JavaScript)
+ * @param {any} value - Value to check
+ * @param {any} fallback - Replacement value
+ * @returns {any}
+ */
+export const defaultTo = (value, fallback) =>
+  value === null || value === undefined || value === "" ? fallback : value;
+
+/**
+ * Serializes a value as JSON
+ * @param {any} value - Value to serialize
+ * @param {number} [indent] - Spaces of indentation for pretty output
+ * @returns {string}
+ */
+export const json = (value, indent) => JSON.stringify(value, null, indent);
@@ -1,5 +1,6 @@
 import { describe, it, expect } from "vitest";
 import { evaluateCondition, parseConditionJson } from "../src/index.js";
+import { dateDiff } from "../src/dates.js";
 
 describe("evaluateCondition", () => {
   it("evaluates semantic JSON conditions", () => {
@@ -93,6 +94,21 @@ describe("evaluateCondition", () => {
     ).toBe(true);
   });
 
+  it("only evaluates the right side of && and || when needed", () => {
+    const mustNotBeCalled = () => {
+      throw new Error("mustNotBeCalled was called");
+    };
+
+    expect(evaluateCondition("x != 0 && 10 / x > 1", { x: 0 })).toBe(false);
+    expect(
+      evaluateCondition(
+        "ready || mustNotBeCalled()",
+        { ready: true },
+        { functions: { mustNotBeCalled } },
+      ),
+    ).toBe(true);
+  });
+
   it("supports legacy functions object options", () => {
     expect(
       evaluateCondition(
@@ -106,4 +122,24 @@ describe("evaluateCondition", () => {
       ),
     ).toBe(true);
   });
+
+  it("reads now() from the clock option", () => {
+    const clock = () => new Date("2024-03-05T12:00:00Z");
+
+    expect(
+      evaluateCondition(
+        "dateDiff(expiresAt, now()) < 7",
+        { expiresAt: "2024-03-08" },
+        { functions: { dateDiff }, clock },
+      ),
+    ).toBe(true);
+
+    expect(
+      evaluateCondition(
+        "dateDiff(expiresAt, now()) < 7",
+        { expiresAt: "2024-04-08" },
+        { functions: { dateDiff }, clock },
+      ),
+    ).toBe(false);
+  });
 });